@@ -5,25 +5,57 @@
  */
 
 // Import modules
-import path from 'node:path';
 import process from 'process';
 import fs from 'node:fs';
+import path from 'node:path';
 
 // Local modules
-import FFmpeg from '../lib/ffmpeg.js';
-import cli from '../lib/cli.js';
-import findPoster from '../utils/findPoster.js';
-import logger from '../utils/logger.js';
+import parseArgs from '../lib/cli.js';
+import { Packager } from '../lib/packager.js';
+import { formatCommand } from '../lib/ffmpeg.js';
+import verifyPackage from '../lib/verify.js';
+import createLogger from '../utils/logger.js';
+import clips from '../utils/clips.js';
 import convertTime from '../utils/convertTime.js';
-import getTimelinePreviewSpecs from '../utils/getTimelinePreviewSpecs.js';
 
 // External modules
-import sharp from 'sharp';
 import kleur from 'kleur';
 
+const cli = await parseArgs(process.argv);
+
+if (cli.command === 'verify') {
+	const reports = await Promise.all(cli.args.map((dir) => verifyPackage(dir)));
+	reports.forEach((report) => printReport(report));
+
+	const failed = reports.filter((report) => report.problems.length > 0).length;
+
+	if (cli.args.length > 1) {
+		console.log(
+			failed > 0
+				? kleur.red(`${failed} of ${cli.args.length} packages are broken`)
+				: kleur.green(`All ${cli.args.length} packages are intact`)
+		);
+	}
+
+	process.exit(failed > 0 ? 1 : 0);
+}
+
+// Keep stdout free for machine readable output when it was requested
+const machineReadable = cli.opts.json || cli.opts.planJson;
+const logger = createLogger({ ...cli.opts, stderr: machineReadable });
+const plans = [];
+let current;
+
 try {
-	console.log(`\n${cli.pkg.name} v${cli.pkg.version}\n\n`);
-	const totalFilesToProcess = cli.args.length;
+	if (!machineReadable)
+		console.log(`\n${cli.pkg.name} v${cli.pkg.version}\n\n`);
+
+	// A clip list turns the input into one package per clip
+	const { clips: clipListPath, ...options } = cli.opts;
+	const jobs = clipListPath
+		? readClips(clipListPath).map((clip) => ({ input: cli.args[0], ...clip }))
+		: cli.args.map((input) => ({ input }));
+	const totalFilesToProcess = jobs.length;
 
 	if (cli.opts.overwrite)
 		logger('warn', "--overwrite specified, hope you know what you're doing...");
@@ -31,394 +63,202 @@ try {
 	/*
 	Notable note:
 	We for await ... of here because each (really long) ffmpeg call parallel
-	processes all outputs of an input. This creats significant load on the 
+	processes all outputs of an input. This creats significant load on the
 	system, so forcing parallel execution of parallel execution is
-	(probably) not a good idea 
+	(probably) not a good idea
 	*/
-	for await (const [step, item] of cli.args.entries()) {
-		if (item)
+	for await (const [step, job] of jobs.entries()) {
+		const item = job.input;
+		current = item;
+		if (item && !machineReadable)
 			console.log(
 				kleur.bold(
-					`[${step + 1} of ${totalFilesToProcess}] Packaging ${item}...`
+					`[${step + 1} of ${totalFilesToProcess}] Packaging ${item}${job.slug ? ` (${job.slug})` : ''}...`
 				)
 			);
 
-		const { transcoder, globals, paths } = await setup(item);
-		logger('info', 'File data:', transcoder, globals, paths);
-		await processVideo(transcoder, globals, paths);
-		await processImages(transcoder, paths);
+		const packager = new Packager({ ...options, ...job, logger });
+		packager.on('progress', (event) =>
+			cli.opts.json ? writeEvent(event) : renderProgress(event, item)
+		);
+		const result = await packager.run();
+
+		if (cli.opts.planJson) plans.push(result);
+		if (machineReadable) continue;
 
-		// Clean up tempdir
-		await fs.promises.rm(paths.tmp, {
-			recursive: true,
-			force: true,
-		});
+		if (cli.opts.dryRun) printPlan(result);
 
 		console.log('\n');
 	}
+
+	if (cli.opts.planJson) console.log(JSON.stringify(plans, null, 2));
 } catch (error) {
+	if (cli.opts.json) {
+		writeEvent({ phase: 'error', input: current, message: error.message });
+	}
+
 	logger('error', error.stack);
 	if (typeof error.code === 'number')
 		process.exit(error.code || process.exitCode);
 	process.exit(126);
 }
 
-async function setup(source) {
-	// Instance ffmpeg handler
-	const transcoder = new FFmpeg();
-
-	// Set overwrite option
-	transcoder.addArguments('-y');
-
-	// Extract path to process
-	logger('info', 'Resolving paths...');
-	const sourcePath = path.resolve(source);
-
-	// Get stats
-	logger('info', 'Getting file data...');
-	transcoder.loadMeta(sourcePath);
+/**
+ * Reads the clips to package from a clip list
+ * @param {string} file Path to the clip list
+ * @returns {import('../utils/clips.js').Clip[]}
+ */
+function readClips(file) {
+	try {
+		return clips.parse(fs.readFileSync(file, 'utf8'));
+	} catch (error) {
+		throw new Error(`${file}: ${error.message}`);
+	}
+}
 
-	// Destructure shorthand globals for specs
-	const {
-		frameCount: $FRAME_COUNT,
-		fpsDecimal: $FPS,
-		format: $FORMAT,
-		streams: { video: $VIDEO, audio: $AUDIO },
-	} = transcoder.specs;
+/**
+ * Writes encoding progress for an input to stdout
+ * @param {object} event Progress event emitted by the packager
+ * @param {string} item Input being packaged
+ */
+function renderProgress(event, item) {
+	if (cli.opts.silent) return;
 
-	cli.opts.output ||= path.dirname(sourcePath);
+	const name = path.basename(item);
 
-	const outputPath = path.resolve(
-		cli.opts.output,
-		cli.opts.outputPrefix,
-		transcoder.meta.rel,
-		transcoder.meta.slug
-	);
+	if (event.phase !== 'encode') return;
 
-	// Handle overwrite
-	if (fs.existsSync(outputPath) && !cli.opts.overwrite) {
-		throw new Error(
-			`Output path ${outputPath} already exists use --overwrite to force overwrite destination.`
-		);
+	// Only the final line can be written when output isn't a terminal
+	if (!process.stdout.isTTY) {
+		if (event.complete)
+			console.log(kleur.green(`Encoding '${name}' [COMPLETE]`));
+		return;
 	}
 
-	const tmpPath = path.join(outputPath, '_tmp');
-
-	// Build a resolution list and then filter that list down based on input file height
-	if ($VIDEO) {
-		transcoder.resolutions = cli.opts.videoResolutions
-			.map((resolution, index) => {
-				if (resolution > $VIDEO.height) {
-					logger(
-						'event',
-						`Skipping ${resolution}p output, source is ${$VIDEO.height}p`
-					);
-
-					return;
-				}
-
-				const {
-					videoBitrates: bitrates,
-					videoProfiles: profiles,
-					videoLevels: levels,
-				} = cli.opts;
-
-				return {
-					height: Number(resolution),
-					bitrate: Number(bitrates[index] || bitrates[bitrates.length - 1]),
-					profile: profiles[index] || profiles[profiles.length - 1],
-					level: levels[index] || levels[levels.length - 1],
-				};
-			})
-			.filter(Boolean);
-	}
+	process.stdout.clearLine(0);
+	process.stdout.cursorTo(0);
 
-	// Find poster frames
-	if ($VIDEO) {
-		transcoder.meta.poster = findPoster(sourcePath);
+	if (event.complete) {
+		process.stdout.write(kleur.green(`Encoding '${name}' [COMPLETE]\n`));
+	} else {
+		const eta = event.eta === undefined ? '' : `, ${event.eta.toFixed()}s left`;
+		process.stdout.write(
+			`Encoding '${name}' ${event.percent.toFixed()}%${eta}`
+		);
 	}
+}
 
-	// Create output directories
-	await fs.promises.mkdir(outputPath, { recursive: true });
-	await fs.promises.mkdir(tmpPath, { recursive: true });
-
-	return {
-		transcoder,
-		globals: {
-			$FORMAT,
-			$FRAME_COUNT,
-			$FPS,
-			$VIDEO,
-			$AUDIO,
-		},
-		paths: {
-			source: sourcePath,
-			tmp: tmpPath,
-			output: outputPath,
-		},
-	};
+/**
+ * Writes a progress event to stdout as a line of JSON
+ * @param {object} event Progress event emitted by the packager
+ */
+function writeEvent(event) {
+	process.stdout.write(
+		JSON.stringify({ ...event, timestamp: new Date().toISOString() }) + '\n'
+	);
 }
 
 /**
- * @param {FFmpeg} transcoder
+ * Writes the plan of a dry run to stdout
+ * @param {import('../lib/packager.js').PackagePlan} plan
  */
-async function processVideo(transcoder, globals, paths) {
-	// Destructure globals
-	const { $VIDEO, $AUDIO, $FORMAT, $FPS, $FRAME_COUNT } = globals;
-
-	// Add source path to args
-	transcoder.addArguments('-i', paths.source);
-
-	// Handle poster frame creation
-
-	if (!transcoder.meta.poster) {
-		logger('info', 'Poster frame requested');
-		transcoder
-			.addArgumentSet({
-				f: 'image2',
-				map: `0:${$VIDEO.index}`,
-				ss: $FORMAT.duration * 0.05,
-				'frames:v': 1,
-				update: 1,
-			})
-			.addArguments(path.join(paths.tmp, 'poster.png'));
+function printPlan(plan) {
+	const list = (items) => items.map((item) => item.name).join(', ');
+
+	console.log(kleur.bold('Output:'), plan.output);
+
+	if (plan.trim) {
+		console.log(
+			kleur.bold('Trim:'),
+			`${convertTime.toTimestamp(plan.trim.start)} - ${convertTime.toTimestamp(plan.trim.end)}`
+		);
 	}
 
-	if (cli.opts.fallback) {
-		if ($VIDEO) {
-			logger('info', 'Progressive MP4 was requested');
-			transcoder.addArgumentSet({
-				f: 'mp4',
-				map: `0:${$VIDEO.index}`,
-				vf: ["scale=-2:'min(540,ih)'", `format=${cli.opts.videoPixelFormat}`],
-				'codec:v': 'libx264',
-				'profile:v': 'main',
-				'level:v': 3.1,
-				'b:v': '1500k',
-				'maxrate:v': '1500k',
-				'bufsize:v': '2500k',
-			});
-			if ($AUDIO) {
-				transcoder.addArgumentSet({
-					map: `0:${$AUDIO.index}`,
-					'profile:a': cli.opts.audioProfile,
-					'codec:a': cli.opts.audioCodec,
-					ar: $AUDIO.sample_rate,
-					'b:a': '96k',
-				});
-			}
-
-			transcoder.addArguments(
-				'-movflags',
-				'+faststart',
-				path.join(paths.output, 'progressive.mp4')
-			);
-		} else {
-			transcoder.addArgumentSet(
-				{
-					f: 'mp3',
-					map: `0:${$AUDIO.index}`,
-					'codec:a': 'libmp3lame',
-					'b:a': `${cli.opts.audioBitrate}k`,
-				},
-				path.join(paths.output, 'progressive.mp3')
-			);
-		}
+	console.log(
+		kleur.bold('Renditions:'),
+		plan.renditions
+			.map((rendition) => `${rendition.name} (${rendition.bitrate}k)`)
+			.join(', ') || 'none'
+	);
+
+	if (plan.audio.length > 0) {
+		console.log(kleur.bold('Audio:'), list(plan.audio));
 	}
 
-	if (cli.opts.hls) {
-		logger('info', 'HLS package was requested');
-		const hlsKeyDistance = ($FPS * cli.opts.hlsInterval).toFixed();
-		const hlsSegmentExtension = { mpegts: 'ts', fmp4: 'm4s' }[cli.opts.hlsType];
-		const hlsSegmentName = cli.opts.hlsSegmentName
-			.replace('{stream}', '%v')
-			.replace('{index}', '%04d');
-		const hlsSegmentPath = path.join(paths.output, hlsSegmentName);
-
-		// Use HLS as format
-		transcoder.addArguments('-f', 'hls');
-
-		if ($VIDEO) {
-			transcoder.addArgumentSet({
-				'c:v': cli.opts.videoCodec,
-				g: hlsKeyDistance,
-				keyint_min: hlsKeyDistance,
-			});
-		}
-
-		if ($AUDIO) {
-			transcoder.addArgumentSet({
-				'c:a': cli.opts.audioCodec,
-				ar: $AUDIO.sample_rate,
-			});
-		}
-
-		transcoder.addArgumentSet({
-			hls_playlist_type: 'vod',
-			hls_segment_type: cli.opts.hlsType,
-			hls_time: cli.opts.hlsInterval,
-			hls_list_size: 0,
-			master_pl_name: cli.opts.hlsRootPlaylistName,
-			hls_segment_filename: `${hlsSegmentPath}.${hlsSegmentExtension}`,
-		});
-
-		if ($VIDEO) {
-			transcoder.resolutions.forEach((resolution, index) => {
-				transcoder.addArgumentSet({
-					map: `0:${$VIDEO.index}`,
-					[`filter:v:${index}`]: `scale=-2:${resolution.height},format=${cli.opts.videoPixelFormat}`,
-					[`profile:v:${index}`]: resolution.profile,
-					[`level:v:${index}`]: resolution.level,
-					[`b:v:${index}`]: `${resolution.bitrate}k`,
-					[`maxrate:v:${index}`]: `${resolution.bitrate}k`,
-					[`bufsize:v:${index}`]: `${resolution.bitrate * 1.5}k`,
-				});
-
-				if ($AUDIO) {
-					transcoder.addArgumentSet({
-						map: `0:${$AUDIO.index}`,
-						[`profile:a:${index}`]: cli.opts.audioProfile,
-						[`b:a:${index}`]: `${cli.opts.audioBitrate}k`,
-					});
-				}
-			});
-		}
-
-		transcoder.addArgumentSet({
-			var_stream_map: transcoder.resolutions
-				.map((resolution, index) =>
-					[
-						$VIDEO && `v:${index}`,
-						$AUDIO && `a:${index}`,
-						`name:${resolution.height}p`,
-					]
-						.filter(Boolean)
-						.join()
-				)
-				.join(' '),
-		});
+	if (plan.subtitles.length > 0) {
+		console.log(kleur.bold('Subtitles:'), list(plan.subtitles));
+	}
 
-		// Set output
-		transcoder.addArguments(
-			path.join(path.dirname(hlsSegmentPath), 'index.m3u8')
+	if (plan.chapters.length > 0) {
+		console.log(
+			kleur.bold('Chapters:'),
+			plan.chapters.map((chapter) => chapter.title).join(', ')
 		);
 	}
 
-	if (cli.opts.timelinePreviews) {
-		logger('info', 'Seek preview sprite requested');
-		transcoder.meta.mosaic = getTimelinePreviewSpecs(
-			transcoder.specs.format.duration
+	if (plan.timelinePreviews) {
+		const { frames, interval, sheets, width, height } = plan.timelinePreviews;
+		console.log(
+			kleur.bold('Timeline previews:'),
+			`${Math.ceil(frames)} frames, one every ${interval.toFixed(2)}s, on ${sheets} ${
+				sheets === 1 ? 'sheet' : 'sheets'
+			} of ${width}x${height}`
 		);
+	}
 
-		transcoder.addArgumentSet({
-			f: 'image2',
-			map: `0:${$VIDEO.index}`,
-			'c:v': 'png',
-			'filter:v': `scale=-2:${
-				cli.opts.timelinePreviewTileHeight
-			},select='not(mod(\\n,${Math.ceil(
-				$FRAME_COUNT / transcoder.meta.mosaic.frames
-			)}))'`,
-			fps_mode: 'passthrough',
-		});
-
-		transcoder.addArguments(path.join(paths.tmp, 'seek_%04d.png'));
+	if (plan.teaser) {
+		const { width, height, excerpts } = plan.teaser;
+		console.log(
+			kleur.bold('Teaser:'),
+			`${width}x${height}, ${excerpts.length} excerpts at ${excerpts
+				.map((excerpt) => convertTime.toTimestamp(excerpt.start))
+				.join(', ')}`
+		);
 	}
 
-	// Encode everything
-	return transcoder.start();
+	if (plan.publish) {
+		console.log(kleur.bold('Publish:'), plan.publish);
+	}
+
+	console.log(kleur.bold('Commands:'));
+	plan.commands.forEach((command) => {
+		console.log(`  $ ${formatCommand(command)}`);
+	});
+
+	console.log(kleur.bold('Files:'));
+	plan.outputs.forEach((output) => {
+		const action = output.exists
+			? kleur.yellow('overwrite')
+			: kleur.green('create   ');
+		const count = output.count ? kleur.dim(` (${output.count} files)`) : '';
+		const conditional = output.conditional
+			? kleur.dim(' (depending on the input)')
+			: '';
+
+		console.log(`  ${action} ${output.path}${count}${conditional}`);
+	});
 }
 
-async function processImages(transcoder, paths) {
-	// Get output format
-	const outputFormat = cli.opts.imageFormat;
-	const imgExt = outputFormat === 'jpeg' ? 'jpg' : outputFormat;
-
-	// If a poster wasn't provided, time to set that
-	logger('event', `Creating poster.${imgExt}`);
-	sharp(transcoder.meta.poster || path.join(paths.tmp, 'poster.png'))
-		.resize(null, transcoder.resolutions[0].height)
-		.toFormat(outputFormat, {
-			effort: 6,
-			mozjpeg: true,
-			preset: 'photo',
-			quality: outputFormat === 'jpeg' ? 65 : 80,
-		})
-		.toFile(path.join(paths.output, `poster.${imgExt}`));
-
-	if (cli.opts.timelinePreviews) {
-		logger('event', `Creating storyboard.${imgExt}`);
-		const seekDir = path.join(paths.output, 'seek');
-		await fs.promises.mkdir(seekDir, { recursive: true });
-
-		// Collect list of files for mosaic
-		const seekImages = fs
-			.readdirSync(paths.tmp)
-			.filter((item) => item.startsWith('seek_'))
-			.map((item) => path.resolve(paths.tmp, item));
-
-		// Use the first image to get some metadata
-		const seekImageMeta = await sharp(seekImages[0]).metadata();
-
-		// Compute some stats
-		const rows = Math.ceil(
-			seekImages.length / cli.opts.timelinePreviewSpriteColumns
-		);
-		const totalWidth =
-			seekImageMeta.width * cli.opts.timelinePreviewSpriteColumns;
-		const totalHeight = seekImageMeta.height * rows;
-
-		// Map array of image names to an array of objects describing the left and top point of each image
-		const imageData = seekImages.map((image, index) => ({
-			input: image,
-			left:
-				Math.floor(index % cli.opts.timelinePreviewSpriteColumns) *
-				seekImageMeta.width,
-			top:
-				Math.floor(index / cli.opts.timelinePreviewSpriteColumns) *
-				seekImageMeta.height,
-		}));
-
-		// Compose a new mosaic image by remapping the data array into a new sharp image.
-		await sharp({
-			create: {
-				background: '#AAA',
-				channels: 3,
-				width: totalWidth,
-				height: totalHeight,
-			},
-		})
-			.composite(imageData)
-			.toFormat(outputFormat, {
-				mozjpeg: true,
-				quality: outputFormat === 'jpeg' ? 40 : 50,
-				preset: 'icon',
-			})
-			.toFile(path.join(seekDir, `storyboard.${imgExt}`));
-
-		// Create an array of VTT entries by mapping the data array into a set of entries
-		logger('event', `Creating thumbnails.vtt`);
-		const vttEntries = imageData.map((img, index) => {
-			const currentTime = index * transcoder.meta.mosaic.interval;
-			const startTimestamp = convertTime.toTimestamp(currentTime);
-			const endTimestamp = convertTime.toTimestamp(
-				currentTime + transcoder.meta.mosaic.interval
-			);
-			const tc = `${startTimestamp} --> ${endTimestamp}`;
-			const url = path.resolve(
-				'/',
-				cli.opts.outputPrefix,
-				transcoder.meta.rel,
-				transcoder.meta.slug,
-				`seek/storyboard.${imgExt}#xywh=${img.left},${img.top},${seekImageMeta.width},${seekImageMeta.height}`
-			);
+/**
+ * Writes the result of verifying a package to stdout
+ * @param {import('../lib/verify.js').VerifyReport} report
+ */
+function printReport(report) {
+	const summary = kleur.dim(
+		`(${report.playlists} playlists, ${report.segments} segments, ${report.cues} timeline preview cues)`
+	);
 
-			return `${tc}\n${url}`;
-		});
+	if (report.problems.length === 0) {
+		console.log(`${kleur.green('✔')} ${report.dir} ${summary}`);
+		return;
+	}
 
-		await fs.promises.writeFile(
-			path.join(seekDir, 'thumbnails.vtt'),
-			['WEBVTT', ...vttEntries].join('\n\n')
+	console.log(`${kleur.red('✖')} ${report.dir} ${summary}`);
+	report.problems.forEach((problem) => {
+		console.log(
+			problem.file
+				? `  ${kleur.bold(problem.file)} ${problem.message}`
+				: `  ${problem.message}`
 		);
-	}
+	});
 }
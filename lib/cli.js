@@ -1,11 +1,13 @@
-import fs from 'node:fs';
+import path from 'node:path';
 import kleur from 'kleur';
 import { Command, Option } from 'commander';
 import process from 'node:process';
+import defaults from './defaults.js';
+import pkg from './pkg.js';
+import { findConfig, loadConfig, resolveConfig } from './config.js';
 
-const pkg = JSON.parse(
-	fs.readFileSync(new URL('../package.json', import.meta.url))
-);
+// Name of the subcommand that was run, `package` unless another one was given
+let command = 'package';
 
 const program = new Command()
 	.name(pkg.name)
@@ -16,48 +18,154 @@ const program = new Command()
 		new Option(
 			'-o, --output <path>',
 			'Path to directory to output the packaged files'
-		).default(false, '(same as input)')
+		).default(defaults.output, '(same as input)')
 	)
 	.option(
 		'--output-prefix <path>',
 		'Optional prefix to amend to output and prepend to URLs in the VTT files with. Useful for hosting files under a base path.',
-		''
+		defaults.outputPrefix
+	)
+	.option(
+		'-c, --config <path>',
+		'Path to a config file to load options from (default: mkhls.config.js or mkhls.config.json in the working directory)'
+	)
+	.option(
+		'-p, --preset <name>',
+		'Name of a preset defined in the config file to apply. Options passed on the command line take precedence over the preset'
+	)
+	.option(
+		'--slug <slug>',
+		"Slug to name the output directory with instead of the input's file name, only valid with a single input"
+	)
+
+	// Trim options
+	.option(
+		'--start <time>',
+		'Only package the input from this time on, in seconds or as a [hh:]mm:ss timestamp'
+	)
+	.option(
+		'--end <time>',
+		'Only package the input up to this time, in seconds or as a [hh:]mm:ss timestamp'
+	)
+	.option(
+		'--duration <time>',
+		'Only package this much of the input from --start on, in seconds or as a [hh:]mm:ss timestamp'
+	)
+	.option(
+		'--clips <file>',
+		'Path to a clip list with a start time, end time and slug on each line, packages every clip of a single input separately'
 	)
 
 	// HLS Options
 	.addOption(
 		new Option('--hls-type <type>', 'What type of HLS files should be encoded')
-			.default('mpegts')
+			.default(defaults.hlsType)
 			.choices(['mpegts', 'fmp4'])
 	)
 	.option(
 		'--hls-interval <interval>',
 		'Length of HLS segements to encode in seconds',
-		4
+		defaults.hlsInterval
 	)
 	.option(
 		'--hls-segment-name <name>',
 		'Output segment name template to use. Available placeholders are {stream} (the name of the stream) and {index} (the segment index).',
-		'{stream}/segment_{index}'
+		defaults.hlsSegmentName
 	)
 	.option(
 		'--hls-root-playlist-name <name>',
 		'Filename of the root/main playlist file',
-		'manifest.m3u8'
+		defaults.hlsRootPlaylistName
+	)
+	.option('--hls-encryption', 'Encrypt HLS segments with AES-128')
+	.addOption(
+		new Option(
+			'--hls-encryption-method <method>',
+			'Encryption method to use with --hls-encryption, only aes-128 is supported so far'
+		)
+			.default(defaults.hlsEncryptionMethod)
+			.choices(['aes-128', 'sample-aes'])
+	)
+	.option(
+		'--hls-key-uri <template>',
+		'URI players request keys from. Available placeholders are {slug} (the slug of the input) and {n} (the index of the key).',
+		defaults.hlsKeyUri
+	)
+	.option(
+		'--hls-key-dir <path>',
+		'Directory to write encryption keys to, has to be outside of the output directory'
+	)
+	.option(
+		'--hls-key-rotation <segments>',
+		'Number of segments to encrypt with each key, 0 uses a single key for every segment',
+		defaults.hlsKeyRotation
+	)
+
+	// DASH Options
+	.option(
+		'--dash',
+		'Write an MPEG-DASH manifest that references the HLS segments, requires --hls-type fmp4'
+	)
+	.option(
+		'--dash-manifest-name <name>',
+		'Filename of the DASH manifest, written next to the root playlist',
+		defaults.dashManifestName
+	)
+
+	// Publish Options
+	.option(
+		'--publish <target>',
+		'Upload each package to S3-compatible object storage once it is written, given as s3://bucket/prefix. Keys follow --output-prefix, credentials are read from AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY'
+	)
+	.option(
+		'--publish-endpoint <url>',
+		'URL of the storage service, e.g. for MinIO (default: AWS_ENDPOINT_URL or AWS S3)'
+	)
+	.option(
+		'--publish-region <region>',
+		'Region of the bucket (default: AWS_REGION or us-east-1)'
+	)
+	.option(
+		'--publish-concurrency <number>',
+		'Number of files to upload at once',
+		defaults.publishConcurrency
+	)
+	.option(
+		'--publish-retries <number>',
+		'Number of times to retry a failed upload',
+		defaults.publishRetries
+	)
+	.option(
+		'--publish-timeout <seconds>',
+		'Number of seconds an upload may take before it is aborted and retried',
+		defaults.publishTimeout
+	)
+
+	// Stream selection
+	.option(
+		'--video-stream <selector>',
+		'Video stream to package, given as its index, a language (lang:eng) or default for the stream marked as default. Cover art is never picked (default: the first video stream)'
+	)
+	.option(
+		'--audio-stream <selector>',
+		'Audio stream to package, given as its index, a language (lang:eng) or default for the stream marked as default. Other audio streams are only packaged when --audio-languages requests them, the selected one is the default rendition (default: the first audio stream)'
 	)
 
 	// Video Options
 	.addOption(
-		new Option('--video-codec <codec>', 'What video codec to encode with')
-			.default('libx264')
-			.choices(['libx264', 'libx265'])
+		new Option(
+			'--video-codec <codecs...>',
+			'One or more video codecs to encode with, each codec gets its own ladder of renditions in the root playlist'
+		)
+			.default(defaults.videoCodec)
+			.choices(['libx264', 'libx265', 'libsvtav1', 'libaom-av1', 'libvpx-vp9'])
 	)
 	.addOption(
 		new Option(
 			'--video-pixel-format <format>',
 			'What pixel format to encode with'
 		)
-			.default('yuv420p')
+			.default(defaults.videoPixelFormat)
 			.choices([
 				'yuv420p',
 				'yuvj420p',
@@ -79,31 +187,41 @@ const program = new Command()
 	.addOption(
 		new Option(
 			'--video-resolutions <resolutions...>',
-			'One or more resolutions to output'
+			'One or more resolutions to output, as the length of the short edge so portrait video gets the same ladder'
 		)
-			.default([2160, 1440, 1080, 720, 480, 360, 240])
+			.default(defaults.videoResolutions)
 			.implies({ videoBitrates: [], videoProfiles: [], videoLevels: [] })
 	)
 	.option(
 		'--video-bitrates <bitrates...>',
 		'One or more bitrates to output in kbps, if not equal to number of resolutions the last value will be repeated',
-		[18000, 10000, 6000, 3000, 1500, 800, 600]
+		defaults.videoBitrates
 	)
-	.option(
-		'--video-profiles <profiles...>',
-		'One or more profiles to output, if not equal to number of resolutions the last value will be repeated',
-		['high', 'high', 'high', 'high', 'high', 'main', 'main']
+	.addOption(
+		new Option(
+			'--video-profiles <profiles...>',
+			'One or more profiles to output for the first video codec, if not equal to number of resolutions the last value will be repeated'
+		).default(defaults.videoProfiles, 'picked by codec and resolution')
 	)
-	.option(
-		'--video-levels <levels...>',
-		'One or more profiles to output, if not equal to number of resolutions the last value will be repeated',
-		['5.2', '5.2', '5.1', '4.2', '4.0', '3.1', '3.1']
+	.addOption(
+		new Option(
+			'--video-levels <levels...>',
+			'One or more levels to output for the first video codec, if not equal to number of resolutions the last value will be repeated'
+		).default(defaults.videoLevels, 'picked by codec and resolution')
+	)
+	.addOption(
+		new Option(
+			'--hdr <mode>',
+			'What to do with HDR (PQ or HLG) sources, tone-map every output to SDR or preserve HDR in a 10-bit HEVC ladder next to the SDR ladder'
+		)
+			.default(defaults.hdr)
+			.choices(['tonemap', 'preserve'])
 	)
 
 	// Audio options
 	.addOption(
 		new Option('--audio-codec <codec>', 'Audio codec to use')
-			.default('aac')
+			.default(defaults.audioCodec)
 			.choices(['aac', 'flac', 'ac3', 'eac3'])
 	)
 	.addOption(
@@ -111,40 +229,99 @@ const program = new Command()
 			'--audio-profile <profile>',
 			'Profile to use for AAC (when enabled)'
 		)
-			.default('aac_low')
+			.default(defaults.audioProfile)
 			.choices(['aac_low', 'mpeg2_aac_low', 'aac_ltp', 'aac_main'])
 	)
 	.option(
 		'--audio-bitrate <bitrate>',
 		'Bitrate to use for audio encoding in kbps',
-		256
+		defaults.audioBitrate
+	)
+	.option(
+		'--audio-bitrates <bitrates...>',
+		'One or more bitrates in kbps to output as HLS renditions when the input has no video',
+		defaults.audioBitrates
+	)
+	.option(
+		'--audio-languages <languages...>',
+		'Only package audio streams tagged with one of these languages. When more than one audio stream is packaged, each one becomes an alternate audio rendition',
+		defaults.audioLanguages
+	)
+	.option(
+		'--loudnorm',
+		'Normalize the loudness of every audio output to --loudnorm-target in two passes, as per EBU R128'
+	)
+	.option(
+		'--loudnorm-target <lufs>',
+		'Integrated loudness to normalize audio to in LUFS',
+		defaults.loudnormTarget
+	)
+
+	// Poster options
+	.option(
+		'--poster-widths <widths...>',
+		'Widths of smaller poster copies to write for srcset, widths at or above the width of the poster are skipped',
+		defaults.posterWidths
+	)
+
+	// Teaser options
+	.addOption(
+		new Option(
+			'--teaser <formats...>',
+			'Write a short muted loop of excerpts spread across the input next to the poster, as an MP4, an animated WebP or both'
+		)
+			.default(defaults.teaser, 'none')
+			.choices(['mp4', 'webp'])
+	)
+	.option(
+		'--teaser-excerpts <number>',
+		'Number of excerpts to join into the teaser, fewer are taken from short inputs',
+		defaults.teaserExcerpts
+	)
+	.option(
+		'--teaser-excerpt-duration <seconds>',
+		'Duration of each teaser excerpt in seconds',
+		defaults.teaserExcerptDuration
+	)
+	.option(
+		'--teaser-size <pixels>',
+		'Length of the short edge of the teaser in pixels',
+		defaults.teaserSize
 	)
 
 	// Timeline previews
 	.option(
 		'--timeline-preview-sprite-columns <number>',
 		'Number of images to use per row in final sprite',
-		6
+		defaults.timelinePreviewSpriteColumns
 	)
 	.option(
 		'--timeline-preview-tile-height <pixels>',
 		'Height of each generated thumbnail in pixels',
-		144
+		defaults.timelinePreviewTileHeight
 	)
 	.option(
 		'--timeline-preview-interval-min <seconds>',
 		'Minimum interval between preview frames in seconds before reducing image count',
-		1
+		defaults.timelinePreviewIntervalMin
 	)
 	.option(
 		'--timeline-preview-interval-max <seconds>',
 		'Maximum interval between preview frames in seconds before increasing image count',
-		5
+		defaults.timelinePreviewIntervalMax
 	)
 	.option(
 		'--timeline-preview-max-images <number>',
 		'Maximum number of images to generate in the final sprite. Once this limit is reached, frames will become more spaced out',
-		180
+		defaults.timelinePreviewMaxImages
+	)
+	.option(
+		'--timeline-preview-sheet-rows <number>',
+		'Maximum number of rows per storyboard sheet, more sheets are written once it is reached (default: as many as fit)'
+	)
+	.option(
+		'--timeline-preview-sheet-max-size <pixels>',
+		'Maximum width and height of each storyboard sheet in pixels, never above the limit of the image format (default: 16383 for webp, 16384 for avif, 65535 for jpeg)'
 	)
 
 	// Generic options
@@ -153,7 +330,7 @@ const program = new Command()
 			'--image-format <format>',
 			'What format to output posters and preview sprites in'
 		)
-			.default('webp')
+			.default(defaults.imageFormat)
 			.choices(['webp', 'jpeg', 'avif'])
 	)
 	.option(
@@ -162,7 +339,7 @@ const program = new Command()
 	)
 	.option(
 		'--count-frames',
-		`Force ffprobe to count all the frames for each input ${kleur
+		`Force ffprobe to count the frames of each input instead of estimating them for progress ${kleur
 			.dim()
 			.italic('(might take a long time)')}`
 	)
@@ -176,28 +353,137 @@ const program = new Command()
 		'--no-hls',
 		'Skip output of an HLS package (helpful to create a fallback or timeline preview sprite seperately)'
 	)
+	.option(
+		'--no-iframe-playlists',
+		'Skip writing I-frame playlists for fast scrubbing and trick play'
+	)
 	.option(
 		'--no-fallback',
 		'Skip creating a progressive MP4 at 720p or lower resolution'
 	)
+	.option(
+		'--no-subtitles',
+		'Skip packaging embedded subtitle streams and sidecar subtitle files'
+	)
+	.option(
+		'--no-chapters',
+		'Skip writing embedded chapters and sidecar chapter lists to chapters.vtt'
+	)
+	.option(
+		'--chapter-keyframes',
+		'Force a keyframe at the start of every chapter in HLS renditions'
+	)
 	.option(
 		'--no-timeline-previews',
 		'Skip creating timeline previews and mosaic'
 	)
 	.option('--overwrite', 'Force mkhls to overwrite files in output directory')
-	.option('-d, --dry-run', "Don't write any files to the filesystem")
+	.option(
+		'-d, --dry-run',
+		'Print the ffmpeg commands and output files of each input without writing any files to the filesystem'
+	)
+	.addOption(
+		new Option(
+			'--plan-json',
+			'Like --dry-run, but print the plan of every input as JSON'
+		).implies({ dryRun: true })
+	)
+	.option(
+		'--json',
+		'Write progress and results as newline-delimited JSON events to stdout, log messages go to stderr'
+	)
 	.option('-s, --silent', "Don't output anything")
 	.option('-v, --verbose', 'Output additional information')
 	.version(pkg.version)
 	.helpOption('-h, --help', 'show this help message')
 	.configureHelp({
 		helpWidth: 100,
+	})
+	.action(() => {});
+
+program
+	.command('verify')
+	.description(
+		'Check packages written by mkhls for missing or empty files, overlong segments and broken timeline previews'
+	)
+	.argument('<dirs...>', 'One or more output directories of a single input')
+	.helpOption('-h, --help', 'show this help message')
+	.action(() => {
+		command = 'verify';
+	});
+
+/**
+ * Applies options from a config file to any option that wasn't
+ * passed on the command line
+ * @param {string} file Path to the config file
+ * @param {string} [preset] Name of the preset to apply
+ */
+async function applyConfig(file, preset) {
+	const choices = Object.fromEntries(
+		program.options
+			.filter((option) => option.argChoices)
+			.map((option) => [option.attributeName(), option.argChoices])
+	);
+
+	let options;
+	try {
+		options = resolveConfig(await loadConfig(file), { preset, choices });
+	} catch (error) {
+		program.error(`error: ${path.basename(file)}: ${error.message}`);
+	}
+
+	Object.entries(options).forEach(([key, value]) => {
+		const source = program.getOptionValueSource(key);
+		if (source === undefined || source === 'default') {
+			program.setOptionValueWithSource(key, value, 'config');
+		}
 	});
+}
+
+/**
+ * Parses command line arguments into the options accepted by the packager
+ * @param {string[]} [argv] Arguments to parse, defaults to `process.argv`
+ * @returns {Promise<{pkg: object, command: string, opts: object, args: string[]}>}
+ */
+async function parseArgs(argv = process.argv) {
+	program.parse(argv);
+
+	if (command === 'verify') {
+		const [verify] = program.commands;
+		return { pkg, command, opts: verify.opts(), args: verify.args };
+	}
+
+	const { slug, clips, start, end, duration } = program.opts();
+	if ((slug || clips) && program.args.length > 1) {
+		program.error(
+			`error: ${slug ? '--slug' : '--clips'} can only be used with a single input`
+		);
+	}
+
+	if (clips && [start, end, duration].some((value) => value !== undefined)) {
+		program.error(
+			"error: --clips can't be combined with --start, --end or --duration"
+		);
+	}
+
+	const { config, preset } = program.opts();
+	const configPath = config ? path.resolve(config) : findConfig(process.cwd());
+
+	if (configPath) {
+		await applyConfig(configPath, preset);
+	} else if (preset) {
+		program.error(
+			`error: preset '${preset}' was requested but no config file was found`
+		);
+	}
 
-program.parse(process.argv);
+	return {
+		pkg,
+		command,
+		opts: program.opts(),
+		args: program.args,
+	};
+}
 
-export default {
-	pkg,
-	opts: program.opts(),
-	args: program.args,
-};
+export { program };
+export default parseArgs;
@@ -0,0 +1,143 @@
+/**
+ * Encoder specific settings of the supported video codecs. Renditions
+ * without a profile or level from `videoProfiles`/`videoLevels` get the
+ * defaults of their codec, picked by rendition height.
+ */
+
+/**
+ * @typedef {object} VideoCodec
+ * @property {string} name Short name of the codec, used to name variants when
+ * ladders of several codecs are encoded
+ * @property {number} bitrateFactor Factor to scale `videoBitrates` by, which
+ * are H.264 bitrates, to get the same quality
+ * @property {boolean} fmp4 Whether HLS requires fMP4 segments for the codec
+ * @property {string} [tag] Codec tag to write instead of the encoder's default
+ * @property {(bitDepth: number, height: number) => string} profile Default profile
+ * @property {Array<[number, string]>} levels Default levels, as pairs of the
+ * maximum height and the level to use up to that height
+ * @property {(index: number, rendition: {profile: string, level: string, color?: import('./hdr.js').ColorProperties}) => object} arguments
+ * Arguments setting the profile and level of a rendition, and the colour
+ * properties of HDR renditions for encoders that write them to the bitstream
+ */
+
+/** @type {Object<string, VideoCodec>} */
+const videoCodecs = {
+	libx264: {
+		name: 'h264',
+		bitrateFactor: 1,
+		fmp4: false,
+		profile: (bitDepth, height) => (height >= 480 ? 'high' : 'main'),
+		levels: [
+			[360, '3.1'],
+			[480, '4.0'],
+			[720, '4.2'],
+			[1080, '5.1'],
+			[2160, '5.2'],
+		],
+		arguments: (index, { profile, level }) => ({
+			[`profile:v:${index}`]: profile,
+			[`level:v:${index}`]: level,
+		}),
+	},
+	libx265: {
+		name: 'hevc',
+		bitrateFactor: 0.6,
+		// Safari only plays HEVC tagged as `hvc1` and in fMP4 segments
+		fmp4: true,
+		tag: 'hvc1',
+		profile: (bitDepth) => (bitDepth > 8 ? 'main10' : 'main'),
+		levels: [
+			[240, '2'],
+			[360, '2.1'],
+			[540, '3'],
+			[720, '3.1'],
+			[1080, '4.1'],
+			[1440, '5'],
+			[2160, '5.1'],
+		],
+		arguments: (index, { profile, level, color }) => ({
+			[`profile:v:${index}`]: profile,
+			[`x265-params:v:${index}`]: [
+				`level-idc=${level}`,
+				color &&
+					`colorprim=${color.primaries}:transfer=${color.transfer}:colormatrix=${color.matrix}`,
+			]
+				.filter(Boolean)
+				.join(':'),
+		}),
+	},
+	libsvtav1: {
+		name: 'av1',
+		bitrateFactor: 0.5,
+		fmp4: true,
+		profile: () => 'main',
+		levels: [
+			[240, '2.0'],
+			[360, '2.1'],
+			[480, '3.0'],
+			[720, '3.1'],
+			[1080, '4.0'],
+			[1440, '5.0'],
+			[2160, '5.1'],
+		],
+		// AV1 encoders signal the level from the resolution and frame rate
+		arguments: () => ({}),
+	},
+	'libvpx-vp9': {
+		name: 'vp9',
+		bitrateFactor: 0.65,
+		fmp4: true,
+		profile: (bitDepth) => (bitDepth > 8 ? '2' : '0'),
+		levels: [
+			[240, '2.0'],
+			[360, '2.1'],
+			[480, '3.0'],
+			[720, '3.1'],
+			[1080, '4.1'],
+			[1440, '5.0'],
+			[2160, '5.1'],
+		],
+		arguments: (index, { profile }) => ({
+			[`profile:v:${index}`]: profile,
+		}),
+	},
+};
+
+videoCodecs['libaom-av1'] = videoCodecs.libsvtav1;
+
+/**
+ * Looks up the settings of a video encoder
+ * @param {string} codec ffmpeg encoder, e.g. `libx264`
+ * @returns {VideoCodec}
+ */
+function getVideoCodec(codec) {
+	if (!Object.hasOwn(videoCodecs, codec)) {
+		throw new Error(
+			`Unsupported video codec ${codec}, use one of ${Object.keys(videoCodecs).join(', ')}`
+		);
+	}
+
+	return videoCodecs[codec];
+}
+
+/**
+ * Picks the default level of a codec for a rendition height
+ * @param {VideoCodec} videoCodec
+ * @param {number} height
+ * @returns {string}
+ */
+function getDefaultLevel(videoCodec, height) {
+	return (videoCodec.levels.find(([maxHeight]) => height <= maxHeight) ||
+		videoCodec.levels.at(-1))[1];
+}
+
+/**
+ * Gets the bit depth of a pixel format
+ * @param {string} pixelFormat e.g. `yuv420p10le`
+ * @returns {number}
+ */
+function getBitDepth(pixelFormat) {
+	return /10le$/.test(pixelFormat) ? 10 : 8;
+}
+
+export { videoCodecs, getVideoCodec, getDefaultLevel, getBitDepth };
@@ -0,0 +1,249 @@
+/**
+ * Loads and validates `mkhls.config.{js,json}` files. A config file can
+ * set any packaging option at the top level and define named presets:
+ *
+ * @example
+ * ```
+ * export default {
+ *   imageFormat: 'jpeg',
+ *   preset: 'web-default',
+ *   presets: {
+ *     'web-default': { videoResolutions: [1080, 720, 480] },
+ *     'mobile-lite': { videoResolutions: [480, 360], hlsInterval: 6 },
+ *   },
+ * };
+ * ```
+ */
+
+// Internals
+import fs from 'node:fs';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+// Locals
+import defaults from './defaults.js';
+
+const configFileNames = ['mkhls.config.js', 'mkhls.config.json'];
+
+// Types each option accepts. Numbers can also be given as numeric strings,
+// like they are on the command line
+const optionTypes = {
+	output: ['boolean', 'string'],
+	outputPrefix: ['string'],
+	slug: ['string'],
+	start: ['number', 'string'],
+	end: ['number', 'string'],
+	duration: ['number', 'string'],
+	hls: ['boolean'],
+	hlsType: ['string'],
+	hlsInterval: ['number'],
+	hlsSegmentName: ['string'],
+	hlsRootPlaylistName: ['string'],
+	hlsEncryption: ['boolean'],
+	hlsEncryptionMethod: ['string'],
+	hlsKeyUri: ['string'],
+	hlsKeyDir: ['string'],
+	hlsKeyRotation: ['number'],
+	iframePlaylists: ['boolean'],
+	dash: ['boolean'],
+	dashManifestName: ['string'],
+	publish: ['string'],
+	publishEndpoint: ['string'],
+	publishRegion: ['string'],
+	publishConcurrency: ['number'],
+	publishRetries: ['number'],
+	publishTimeout: ['number'],
+	videoStream: ['number', 'string'],
+	audioStream: ['number', 'string'],
+	videoCodec: ['string', 'array'],
+	videoPixelFormat: ['string'],
+	videoResolutions: ['array'],
+	videoBitrates: ['array'],
+	videoProfiles: ['array'],
+	videoLevels: ['array'],
+	hdr: ['string'],
+	audio: ['boolean'],
+	audioCodec: ['string'],
+	audioProfile: ['string'],
+	audioBitrate: ['number'],
+	audioBitrates: ['array'],
+	audioLanguages: ['array'],
+	loudnorm: ['boolean'],
+	loudnormTarget: ['number'],
+	subtitles: ['boolean'],
+	chapters: ['boolean'],
+	chapterKeyframes: ['boolean'],
+	posterWidths: ['array'],
+	teaser: ['array'],
+	teaserExcerpts: ['number'],
+	teaserExcerptDuration: ['number'],
+	teaserSize: ['number'],
+	timelinePreviews: ['boolean'],
+	timelinePreviewSpriteColumns: ['number'],
+	timelinePreviewTileHeight: ['number'],
+	timelinePreviewIntervalMin: ['number'],
+	timelinePreviewIntervalMax: ['number'],
+	timelinePreviewMaxImages: ['number'],
+	timelinePreviewSheetRows: ['number'],
+	timelinePreviewSheetMaxSize: ['number'],
+	fallback: ['boolean'],
+	imageFormat: ['string'],
+	preserveDirsFrom: ['string'],
+	countFrames: ['boolean'],
+	overwrite: ['boolean'],
+	dryRun: ['boolean'],
+	planJson: ['boolean'],
+	json: ['boolean'],
+	silent: ['boolean'],
+	verbose: ['boolean'],
+};
+
+// Types the items of array options must have
+const itemTypes = {
+	videoResolutions: 'number',
+	videoBitrates: 'number',
+	audioBitrates: 'number',
+	posterWidths: 'number',
+};
+
+// Checks and descriptions for each type, as used in error messages
+const typeChecks = {
+	boolean: [(value) => typeof value === 'boolean', 'true or false'],
+	number: [
+		(value) =>
+			(typeof value === 'number' || typeof value === 'string') &&
+			String(value).trim() !== '' &&
+			!Number.isNaN(Number(value)),
+		'a number',
+	],
+	string: [(value) => typeof value === 'string', 'a string'],
+	array: [(value) => Array.isArray(value), 'an array'],
+};
+
+/**
+ * Looks for a config file in a directory
+ * @param {string} dir Directory to search
+ * @returns {(string|undefined)} Path to the config file, undefined if none was found.
+ */
+function findConfig(dir) {
+	return configFileNames
+		.map((name) => path.join(dir, name))
+		.find((file) => fs.existsSync(file));
+}
+
+/**
+ * Reads a config file, JSON files are parsed and JS files are imported
+ * @param {string} file Path to the config file
+ * @returns {Promise<object>}
+ */
+async function loadConfig(file) {
+	if (!fs.existsSync(file)) {
+		throw new Error(`Config file ${file} does not exist`);
+	}
+
+	if (path.extname(file) === '.json') {
+		try {
+			return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+		} catch (error) {
+			throw new Error(`${path.basename(file)}: ${error.message}`);
+		}
+	}
+
+	const module = await import(pathToFileURL(file));
+	return module.default;
+}
+
+/**
+ * Checks a set of options against the types they accept
+ * @param {object} options Options to check
+ * @param {string} keyPrefix Prefix to name keys with in error messages
+ * @param {Object<string, string[]>} choices Allowed values for options that have them
+ */
+function validateOptions(options, keyPrefix, choices) {
+	if (typeof options !== 'object' || options === null || Array.isArray(options))
+		throw new Error(`"${keyPrefix || 'config'}" must be an object`);
+
+	Object.entries(options).forEach(([key, value]) => {
+		const name = keyPrefix ? `${keyPrefix}.${key}` : key;
+
+		if (!Object.hasOwn(optionTypes, key)) {
+			throw new Error(`Unknown option "${name}"`);
+		}
+
+		const types = optionTypes[key];
+
+		if (!types.some((type) => typeChecks[type][0](value))) {
+			throw new Error(
+				`"${name}" must be ${types.map((type) => typeChecks[type][1]).join(' or ')}`
+			);
+		}
+
+		if (
+			Array.isArray(value) &&
+			defaults[key].length > 0 &&
+			value.length === 0
+		) {
+			throw new Error(`"${name}" must not be empty`);
+		}
+
+		if (Array.isArray(value) && itemTypes[key]) {
+			const [check, description] = typeChecks[itemTypes[key]];
+			const index = value.findIndex((item) => !check(item));
+
+			if (index !== -1) {
+				throw new Error(
+					`"${name}[${index}]" must be ${description} (got ${JSON.stringify(value[index])})`
+				);
+			}
+		}
+
+		if (
+			choices[key] &&
+			![value].flat().every((item) => choices[key].includes(item))
+		) {
+			throw new Error(
+				`"${name}" must be one of ${choices[key].join(', ')} (got ${JSON.stringify(value)})`
+			);
+		}
+	});
+}
+
+/**
+ * Validates a config file and resolves it into a flat set of options
+ * @param {object} config Contents of the config file
+ * @param {object} [settings]
+ * @param {string} [settings.preset] Name of the preset to apply, overrides `preset` from the config
+ * @param {Object<string, string[]>} [settings.choices] Allowed values for options that have them
+ * @returns {object} Options from the config, with the selected preset applied
+ */
+function resolveConfig(config, { preset, choices = {} } = {}) {
+	const { presets = {}, preset: defaultPreset, ...options } = config || {};
+
+	validateOptions(options, '', choices);
+
+	if (typeof presets !== 'object' || Array.isArray(presets)) {
+		throw new Error('"presets" must be an object');
+	}
+
+	Object.entries(presets).forEach(([name, presetOptions]) => {
+		validateOptions(presetOptions, `presets.${name}`, choices);
+	});
+
+	const presetName = preset || defaultPreset;
+	if (presetName === undefined) return options;
+
+	if (!Object.hasOwn(presets, presetName)) {
+		const available = Object.keys(presets);
+		throw new Error(
+			`Unknown preset "${presetName}"${
+				available.length > 0
+					? `, available presets are ${available.join(', ')}`
+					: ', no presets are defined'
+			}`
+		);
+	}
+
+	return { ...options, ...presets[presetName] };
+}
+
+export { findConfig, loadConfig, resolveConfig };
@@ -0,0 +1,292 @@
+/**
+ * Builds MPEG-DASH manifests out of the fMP4 HLS renditions, so both
+ * protocols are served from the same set of CMAF segments.
+ */
+
+// Internals
+import fs from 'node:fs';
+import path from 'node:path';
+
+// Timescale of segment timelines, in units per second
+const timescale = 1000;
+
+/**
+ * @typedef {import('../utils/readMediaPlaylist.js').MediaPlaylist} MediaPlaylist
+ *
+ * @typedef {object} Representation
+ * @property {string} id
+ * @property {Object<string, (string|number)>} attributes Attributes of the
+ * `Representation` element, e.g. `codecs` or `width`
+ * @property {MediaPlaylist} playlist
+ *
+ * @typedef {object} AdaptationSet
+ * @property {('video'|'audio')} contentType
+ * @property {string} [lang] BCP 47 language tag
+ * @property {string} [label] Human readable name of the adaptation set
+ * @property {string} [role] Value of the `Role` descriptor, e.g. `main`
+ * @property {Array<{schemeIdUri: string, value: (string|number)}>} [properties]
+ * `EssentialProperty` descriptors, players skip sets with properties they
+ * don't understand
+ * @property {Representation[]} representations
+ *
+ * @typedef {object} Thumbnails
+ * @property {string[]} paths Paths to the storyboard sheets, in order
+ * @property {string} mimeType
+ * @property {number} width Width of each sheet
+ * @property {number} height Height of each sheet
+ * @property {number} columns Columns of tiles on each sheet
+ * @property {number} rows Rows of tiles on each sheet
+ * @property {number[]} times Start time of each tile in seconds
+ */
+
+/**
+ * Escapes a value for use in an XML attribute
+ * @param {(string|number)} value
+ * @returns {string}
+ */
+function escapeXml(value) {
+	return String(value)
+		.replaceAll('&', '&amp;')
+		.replaceAll('<', '&lt;')
+		.replaceAll('>', '&gt;')
+		.replaceAll('"', '&quot;');
+}
+
+/**
+ * Formats an XML element and its children as indented lines
+ * @param {string} name
+ * @param {Object<string, (string|number|undefined)>} [attributes] Undefined values are skipped
+ * @param {string[][]} [children] Lines of each child element
+ * @returns {string[]}
+ */
+function element(name, attributes = {}, children = []) {
+	const attributeList = Object.entries(attributes)
+		.filter(([, value]) => value !== undefined)
+		.map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+		.join('');
+
+	if (children.length === 0) return [`<${name}${attributeList}/>`];
+
+	return [
+		`<${name}${attributeList}>`,
+		...children.flat().map((line) => `\t${line}`),
+		`</${name}>`,
+	];
+}
+
+/**
+ * Formats seconds as an ISO 8601 duration
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatDuration(seconds) {
+	return `PT${Number(seconds.toFixed(3))}S`;
+}
+
+/**
+ * Turns the segment URIs of a playlist into a `SegmentTemplate` media
+ * pattern, e.g. `720p/segment_0000.m4s` into `720p/segment_$Number%04d$.m4s`
+ * @param {string[]} uris Segment URIs relative to the manifest
+ * @returns {{media: string, startNumber: number}}
+ */
+function segmentTemplate(uris) {
+	const match = uris[0]?.match(/^(.*?)(\d+)(\.[^./]+)$/);
+	const [, prefix, digits, extension] = match || [];
+	const startNumber = Number(digits);
+	const format = (number) =>
+		`${prefix}${String(number).padStart(digits.length, '0')}${extension}`;
+
+	if (
+		!match ||
+		uris.some((uri, index) => uri !== format(startNumber + index))
+	) {
+		throw new Error(
+			`Segments ${uris[0]} to ${uris.at(-1)} aren't numbered sequentially, DASH requires a {index} placeholder at the end of --hls-segment-name`
+		);
+	}
+
+	return {
+		media: `${prefix}$Number%0${digits.length}d$${extension}`,
+		startNumber,
+	};
+}
+
+/**
+ * Builds a `SegmentTimeline` from segment durations, collapsing repeated
+ * durations into `r` attributes
+ * @param {number[]} durations Segment durations in seconds
+ * @returns {string[]}
+ */
+function segmentTimeline(durations) {
+	const timeline = [];
+	let start = 0;
+
+	for (const duration of durations) {
+		const t = Math.round(start * timescale);
+		const d = Math.round((start + duration) * timescale) - t;
+		const previous = timeline.at(-1);
+
+		if (previous?.d === d) {
+			previous.r = (previous.r || 0) + 1;
+		} else {
+			timeline.push({ t: timeline.length === 0 ? t : undefined, d });
+		}
+
+		start += duration;
+	}
+
+	return element(
+		'SegmentTimeline',
+		{},
+		timeline.map((segment) => element('S', segment))
+	);
+}
+
+/**
+ * Builds an MPD that references the segments of fMP4 media playlists
+ * @param {object} manifest
+ * @param {string} manifest.path Path the manifest will be written to, URIs are relative to it
+ * @param {number} manifest.duration Duration of the media in seconds
+ * @param {number} manifest.interval Target segment duration in seconds
+ * @param {AdaptationSet[]} manifest.adaptationSets
+ * @param {Thumbnails} [manifest.thumbnails] Storyboard to list as a thumbnail adaptation set
+ * @returns {string} The MPD as XML
+ */
+function createManifest({
+	path: manifestPath,
+	duration,
+	interval,
+	adaptationSets,
+	thumbnails,
+}) {
+	const relative = (file) =>
+		path.relative(path.dirname(manifestPath), file).split(path.sep).join('/');
+
+	const sets = adaptationSets.map((set, index) =>
+		element(
+			'AdaptationSet',
+			{
+				id: index,
+				contentType: set.contentType,
+				mimeType: `${set.contentType}/mp4`,
+				lang: set.lang,
+				label: set.label,
+				segmentAlignment: 'true',
+				startWithSAP: 1,
+			},
+			[
+				set.role &&
+					element('Role', {
+						schemeIdUri: 'urn:mpeg:dash:role:2011',
+						value: set.role,
+					}),
+				...(set.properties || []).map((property) =>
+					element('EssentialProperty', property)
+				),
+				...set.representations.map(({ id, attributes, playlist }) => {
+					if (!playlist.initialization) {
+						throw new Error(
+							`Representation ${id} has no initialization segment, DASH requires fMP4 segments`
+						);
+					}
+
+					const { media, startNumber } = segmentTemplate(
+						playlist.segments.map((segment) => relative(segment.path))
+					);
+
+					return element(
+						'Representation',
+						{ id, bandwidth: playlist.bandwidth, ...attributes },
+						[
+							element(
+								'SegmentTemplate',
+								{
+									timescale,
+									initialization: relative(playlist.initialization),
+									media,
+									startNumber,
+								},
+								[
+									segmentTimeline(
+										playlist.segments.map((segment) => segment.duration)
+									),
+								]
+							),
+						]
+					);
+				}),
+			].filter(Boolean)
+		)
+	);
+
+	// Thumbnail tiles as per the DASH-IF interoperability guidelines, each
+	// storyboard sheet is a "segment" made of columns × rows tiles. Sheets run
+	// from the start of their first tile to the start of the next sheet
+	if (thumbnails) {
+		const tileCount = thumbnails.columns * thumbnails.rows;
+		const sheetStarts = thumbnails.paths.map(
+			(_, index) => thumbnails.times[index * tileCount]
+		);
+		const { media, startNumber } = segmentTemplate(
+			thumbnails.paths.map(relative)
+		);
+		const size = thumbnails.paths.reduce(
+			(total, file) => total + fs.statSync(file).size,
+			0
+		);
+
+		sets.push(
+			element(
+				'AdaptationSet',
+				{
+					id: sets.length,
+					contentType: 'image',
+					mimeType: thumbnails.mimeType,
+				},
+				[
+					element(
+						'Representation',
+						{
+							id: 'thumbnails',
+							bandwidth: Math.round((size * 8) / duration),
+							width: thumbnails.width,
+							height: thumbnails.height,
+						},
+						[
+							element('EssentialProperty', {
+								schemeIdUri: 'http://dashif.org/thumbnail_tile',
+								value: `${thumbnails.columns}x${thumbnails.rows}`,
+							}),
+							element('SegmentTemplate', { timescale, media, startNumber }, [
+								segmentTimeline(
+									sheetStarts.map(
+										(start, index) =>
+											(sheetStarts[index + 1] ?? duration) - start
+									)
+								),
+							]),
+						]
+					),
+				]
+			)
+		);
+	}
+
+	return [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		...element(
+			'MPD',
+			{
+				xmlns: 'urn:mpeg:dash:schema:mpd:2011',
+				profiles:
+					'urn:mpeg:dash:profile:isoff-live:2011,urn:mpeg:dash:profile:cmaf:2019',
+				type: 'static',
+				mediaPresentationDuration: formatDuration(duration),
+				minBufferTime: formatDuration(Number(interval)),
+			},
+			[element('Period', { id: 0, start: 'PT0S' }, sets)]
+		),
+	].join('\n');
+}
+
+export { createManifest };
@@ -0,0 +1,108 @@
+/**
+ * Default options shared by the CLI and the programmatic API. Keys match the
+ * camelCased option names that `commander` produces from the CLI flags.
+ */
+const defaults = {
+	// Core options
+	output: false,
+	outputPrefix: '',
+	// Derived from the input's file name when unset
+	slug: undefined,
+
+	// Trim options, times are seconds or [hh:]mm:ss timestamps
+	start: undefined,
+	end: undefined,
+	duration: undefined,
+
+	// HLS options
+	hls: true,
+	hlsType: 'mpegts',
+	hlsInterval: 4,
+	hlsSegmentName: '{stream}/segment_{index}',
+	hlsRootPlaylistName: 'manifest.m3u8',
+	hlsEncryption: false,
+	hlsEncryptionMethod: 'aes-128',
+	hlsKeyUri: '/keys/{slug}/{n}.key',
+	hlsKeyDir: undefined,
+	hlsKeyRotation: 0,
+	iframePlaylists: true,
+
+	// DASH options
+	dash: false,
+	dashManifestName: 'manifest.mpd',
+
+	// Publish options, credentials are read from AWS_ACCESS_KEY_ID,
+	// AWS_SECRET_ACCESS_KEY and AWS_SESSION_TOKEN
+	publish: undefined,
+	publishEndpoint: undefined,
+	publishRegion: undefined,
+	publishConcurrency: 8,
+	publishRetries: 3,
+	publishTimeout: 300,
+
+	// Stream selection, an index, `lang:<code>` or `default`. The first video
+	// stream that isn't cover art and the first audio stream when unset
+	videoStream: undefined,
+	audioStream: undefined,
+
+	// Video options
+	videoCodec: 'libx264',
+	videoPixelFormat: 'yuv420p',
+	videoResolutions: [2160, 1440, 1080, 720, 480, 360, 240],
+	videoBitrates: [18000, 10000, 6000, 3000, 1500, 800, 600],
+	// Empty to use the defaults of the video codec, see lib/codecs.js
+	videoProfiles: [],
+	videoLevels: [],
+	// HDR sources are tone-mapped to SDR, or preserved in an extra HEVC ladder
+	hdr: 'tonemap',
+
+	// Audio options
+	audio: true,
+	audioCodec: 'aac',
+	audioProfile: 'aac_low',
+	audioBitrate: 256,
+	audioBitrates: [256, 128, 64],
+	audioLanguages: [],
+	loudnorm: false,
+	loudnormTarget: -23,
+
+	// Subtitle options
+	subtitles: true,
+
+	// Chapter options
+	chapters: true,
+	chapterKeyframes: false,
+
+	// Poster options
+	posterWidths: [320, 640, 1280],
+
+	// Teaser options, `mp4` and/or `webp`, empty to skip the teaser
+	teaser: [],
+	teaserExcerpts: 4,
+	teaserExcerptDuration: 1,
+	teaserSize: 240,
+
+	// Timeline previews
+	timelinePreviews: true,
+	timelinePreviewSpriteColumns: 6,
+	timelinePreviewTileHeight: 144,
+	timelinePreviewIntervalMin: 1,
+	timelinePreviewIntervalMax: 5,
+	timelinePreviewMaxImages: 180,
+	timelinePreviewSheetRows: undefined,
+	timelinePreviewSheetMaxSize: undefined,
+
+	// Generic options
+	fallback: true,
+	imageFormat: 'webp',
+	preserveDirsFrom: undefined,
+	countFrames: false,
+	overwrite: false,
+	dryRun: false,
+	planJson: false,
+	json: false,
+	silent: false,
+	verbose: false,
+};
+
+export default defaults;
@@ -0,0 +1,140 @@
+/**
+ * Encrypts HLS segments with AES-128 after they've been written by ffmpeg.
+ * Encrypting after the fact (rather than with `-hls_key_info_file`) makes it
+ * possible to rotate keys at fixed segment boundaries across every variant.
+ */
+
+// Internals
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+
+// Locals
+import hlsPlaylist from '../utils/hlsPlaylist.js';
+
+/**
+ * @typedef {object} EncryptionKey
+ * @property {number} n Index of the key
+ * @property {string} uri URI players request the key from
+ * @property {string} file Path the key was written to
+ * @property {string} iv Initialization vector as a hex string
+ * @property {Buffer} key
+ */
+
+/**
+ * Generates keys and IVs and writes each key to `<dir>/<n>.key`, along with
+ * an ffmpeg compatible key info file at `<dir>/<n>.keyinfo`
+ * @param {number} count Number of keys to create
+ * @param {object} options
+ * @param {string} options.dir Directory to write keys to
+ * @param {string} options.uriTemplate Key URI template, `{slug}` and `{n}` are replaced
+ * @param {string} options.slug Slug of the packaged input
+ * @returns {Promise<EncryptionKey[]>}
+ */
+async function createKeys(count, { dir, uriTemplate, slug }) {
+	await fs.promises.mkdir(dir, { recursive: true });
+
+	const keys = Array.from({ length: count }, (_, n) => ({
+		n,
+		uri: uriTemplate.replaceAll('{slug}', slug).replaceAll('{n}', String(n)),
+		file: path.join(dir, `${n}.key`),
+		iv: crypto.randomBytes(16).toString('hex'),
+		key: crypto.randomBytes(16),
+	}));
+
+	// Only the owner can read the keys, not other users on the machine. `mode`
+	// only applies to new files, keys written with --overwrite are changed after
+	const writeKey = async (file, key) => {
+		await fs.promises.writeFile(file, key, { mode: 0o600 });
+		await fs.promises.chmod(file, 0o600);
+	};
+
+	await Promise.all(
+		keys.flatMap(({ n, uri, file, iv, key }) => [
+			writeKey(file, key),
+			fs.promises.writeFile(
+				path.join(dir, `${n}.keyinfo`),
+				[uri, file, iv].join('\n') + '\n'
+			),
+		])
+	);
+
+	return keys;
+}
+
+/**
+ * Encrypts a segment in place with AES-128 in CBC mode
+ * @param {string} segmentPath
+ * @param {EncryptionKey} key
+ */
+async function encryptSegment(segmentPath, key) {
+	const cipher = crypto.createCipheriv(
+		'aes-128-cbc',
+		key.key,
+		Buffer.from(key.iv, 'hex')
+	);
+
+	await fs.promises.writeFile(
+		segmentPath,
+		Buffer.concat([
+			cipher.update(await fs.promises.readFile(segmentPath)),
+			cipher.final(),
+		])
+	);
+}
+
+/**
+ * Counts the segments of a media playlist
+ * @param {string} playlistPath
+ * @returns {Promise<number>}
+ */
+async function countSegments(playlistPath) {
+	const text = await fs.promises.readFile(playlistPath, 'utf8');
+	return text.split(/\r?\n/).filter((line) => line.startsWith('#EXTINF'))
+		.length;
+}
+
+/**
+ * Encrypts every segment of a media playlist in place and adds an
+ * `EXT-X-KEY` tag wherever the key changes
+ * @param {string} playlistPath Path to the media playlist
+ * @param {EncryptionKey[]} keys
+ * @param {number} rotation Number of segments to use each key for, 0 to use a single key
+ */
+async function encryptPlaylist(playlistPath, keys, rotation) {
+	const entries = hlsPlaylist.parse(
+		await fs.promises.readFile(playlistPath, 'utf8')
+	);
+	const output = [];
+	let segment = -1;
+	let key;
+
+	for (const entry of entries) {
+		if (entry.line?.startsWith('#EXTINF')) {
+			segment++;
+
+			const next = keys[rotation > 0 ? Math.floor(segment / rotation) : 0];
+			if (next !== key) {
+				key = next;
+				output.push({
+					tag: 'EXT-X-KEY',
+					attributes: { METHOD: 'AES-128', URI: key.uri, IV: `0x${key.iv}` },
+				});
+			}
+		} else if (entry.line !== undefined && !entry.line.startsWith('#')) {
+			// Segments are encrypted one at a time, so long inputs don't fill up
+			// memory
+			// eslint-disable-next-line no-await-in-loop
+			await encryptSegment(
+				path.resolve(path.dirname(playlistPath), entry.line),
+				key
+			);
+		}
+
+		output.push(entry);
+	}
+
+	await fs.promises.writeFile(playlistPath, hlsPlaylist.stringify(output));
+}
+
+export { createKeys, countSegments, encryptPlaylist };
@@ -5,20 +5,39 @@
 
 // Internals
 import path from 'node:path';
-import process from 'node:process';
 import cp from 'node:child_process';
+import { EventEmitter } from 'node:events';
 
 // Locals
 import ffprobe from './ffprobe.js';
 import convertTime from '../utils/convertTime.js';
-import logger from '../utils/logger.js';
-import cli from './cli.js';
+import createLogger from '../utils/logger.js';
 
-// Externals
-import kleur from 'kleur';
+/**
+ * Formats a list of arguments as a command to type in a shell
+ * @param {string[]} args Command followed by its arguments
+ * @returns {string}
+ */
+export function formatCommand(args) {
+	return args
+		.map((arg) =>
+			/^[\w.,:/=+-]+$/.test(arg) ? arg : `'${arg.replaceAll("'", "'\\''")}'`
+		)
+		.join(' ');
+}
 
-class FFmpeg {
-	constructor() {
+/**
+ * @fires FFmpeg#progress
+ */
+class FFmpeg extends EventEmitter {
+	/**
+	 * @param {object} [options] Packaging options
+	 * @param {import('../utils/logger.js').Logger} [logger]
+	 */
+	constructor(options = {}, logger = createLogger()) {
+		super();
+		this.options = options;
+		this.logger = logger;
 		this.meta = {};
 		this.arglist = [];
 	}
@@ -31,6 +50,9 @@ class FFmpeg {
 	 * @property {object} streams
 	 * @property {object} streams.video
 	 * @property {object} streams.audio
+	 * @property {import('../utils/chapters.js').Chapter[]} chapters
+	 * @property {({width: number, height: number, rotation: number}|undefined)} displaySize
+	 * Dimensions the video stream is displayed at
 	 * @property {object} format
 	 * Metadata specs as an object */
 	get specs() {
@@ -47,13 +69,15 @@ class FFmpeg {
 	 * @param {fs.PathLike} input
 	 * Path to load data object from */
 	loadMeta(input) {
-		const data = ffprobe(input);
+		const data = ffprobe(input, this.options, this.logger);
 		const parsedPath = path.parse(input);
 
-		const slug = parsedPath.name
-			.toLowerCase()
-			.replaceAll(/[-_\s]+/g, '-')
-			.replaceAll(/[^A-z0-9-]/g, '');
+		const slug =
+			this.options.slug ||
+			parsedPath.name
+				.toLowerCase()
+				.replaceAll(/[-_\s]+/g, '-')
+				.replaceAll(/[^A-z0-9-]/g, '');
 
 		this.meta = {
 			slug,
@@ -62,9 +86,9 @@ class FFmpeg {
 			rel: '',
 		};
 
-		if (cli.opts.preserveDirsFrom) {
+		if (this.options.preserveDirsFrom) {
 			this.meta.rel = path.relative(
-				path.resolve(cli.opts.preserveDirsFrom),
+				path.resolve(this.options.preserveDirsFrom),
 				parsedPath.dir
 			);
 		}
@@ -72,6 +96,48 @@ class FFmpeg {
 		return this;
 	}
 
+	/**
+	 * @returns {number}
+	 * Duration of the media that's packaged in seconds, which is shorter than
+	 * the input when it's trimmed */
+	get duration() {
+		const { trim } = this.meta;
+		return trim ? trim.end - trim.start : this.specs.format.duration;
+	}
+
+	/**
+	 * @returns {(number|undefined)}
+	 * Number of video frames that are packaged, undefined without video */
+	get frameCount() {
+		const { frameCount, fpsDecimal } = this.specs;
+		if (!this.meta.trim || frameCount === undefined) return frameCount;
+
+		return Math.round(this.duration * fpsDecimal);
+	}
+
+	/**
+	 * Limits packaging to part of the input. The trimmed input starts at 0,
+	 * so the timestamps of every output are relative to `start`
+	 * @param {number} start Start of the part to package in seconds
+	 * @param {number} end End of the part to package in seconds
+	 */
+	trim(start, end) {
+		this.meta.trim = { start, end };
+
+		return this;
+	}
+
+	/**
+	 * Input options that apply the trim, placed before each `-i`
+	 * @returns {string[]}
+	 */
+	get trimArguments() {
+		const { trim } = this.meta;
+		if (!trim) return [];
+
+		return ['-ss', String(trim.start), '-t', String(trim.end - trim.start)];
+	}
+
 	/**
 	 * @param {...string} args
 	 * One or more arguments to add */
@@ -84,7 +150,8 @@ class FFmpeg {
 	/**
 	 * Path of input to pass to ffmpeg
 	 * @param {object} options
-	 * Object of ffmpeg options to add. Boolean elements will be added as-is
+	 * Object of ffmpeg options to add. Boolean elements will be added as-is,
+	 * undefined elements are skipped
 	 * @example
 	 * ```
 	 * addArgumentSet('/path/to/input', {
@@ -96,6 +163,8 @@ class FFmpeg {
 	 * ``` */
 	addArgumentSet(options) {
 		Object.entries(options).forEach(([k, v]) => {
+			if (v === undefined) return;
+
 			if (typeof v == 'boolean' && v) {
 				this.addArguments(k);
 			} else if (typeof v != 'boolean') {
@@ -106,10 +175,10 @@ class FFmpeg {
 	}
 
 	/**
-	 * @returns {Promise}
-	 */
-	async start() {
-		const args = [
+	 * @returns {string[]}
+	 * Full list of arguments `start()` passes to ffmpeg */
+	get args() {
+		return [
 			'-loglevel',
 			'error',
 			'-hide_banner',
@@ -119,63 +188,104 @@ class FFmpeg {
 			'-',
 			...this.arglist.flat(Infinity).filter(Boolean),
 		];
+	}
 
-		if (cli.opts.verbose) {
-			logger(
-				'info',
-				`$ ffmpeg ${args
-					.map((arg) => (/^[A-z0-9]+$/.test(arg) ? arg : `"${arg}"`))
-					.join(' ')}`
-			);
+	/**
+	 * @returns {string}
+	 * The ffmpeg command as it would be typed in a shell */
+	get command() {
+		return formatCommand(['ffmpeg', ...this.args]);
+	}
+
+	/**
+	 * @typedef {object} ProgressData
+	 * @property {number} time Position of the encode in seconds
+	 * @property {number} percent
+	 * @property {number} frame Number of frames encoded
+	 * @property {number} fps Frames encoded per second
+	 * @property {number} speed Encoding speed relative to playback speed
+	 * @property {(number|undefined)} eta Estimated seconds left, undefined until
+	 * the speed is known
+	 *
+	 * @param {Object<string, string>} block A block of `-progress` output
+	 * @returns {ProgressData}
+	 */
+	parseProgress(block) {
+		const { duration } = this;
+		const time = /^[\d:.]+$/.test(block.out_time)
+			? convertTime.toSeconds(block.out_time)
+			: 0;
+		const speed = Number.parseFloat(block.speed) || 0;
+
+		return {
+			time,
+			percent: (time / duration) * 100,
+			frame: Number(block.frame) || 0,
+			fps: Number(block.fps) || 0,
+			speed,
+			eta: speed > 0 ? Math.max(0, duration - time) / speed : undefined,
+		};
+	}
+
+	/**
+	 * @returns {Promise}
+	 */
+	async start() {
+		const { args } = this;
+
+		if (this.options.verbose) {
+			this.logger('info', `$ ${this.command}`);
 		}
 
 		return new Promise((resolve, reject) => {
-			const ffmpegProcess = cp.spawn('ffmpeg', [
-				'-loglevel',
-				'error',
-				'-hide_banner',
-				'-stats_period',
-				'0.25',
-				'-progress',
-				'-',
-				...args,
-			]);
+			const ffmpegProcess = cp.spawn('ffmpeg', args);
+			let stderr = '';
 
+			// `-progress` writes blocks of `key=value` lines, each ending with a
+			// `progress` key. Lines can be split across chunks.
+			let buffer = '';
+			let block = {};
 			ffmpegProcess.stdout.on('data', (data) => {
-				// Convert output to strings
-				const output = data.toString().match(/out_time=([\d:.]+)/);
-				if (output) {
-					const percentage =
-						(convertTime.toSeconds(output[1]) / this.specs.format.duration) *
-						100;
-
-					process.stdout.clearLine(0);
-					process.stdout.cursorTo(0);
-					process.stdout.write(
-						`Encoding '${this.meta.path.base}' ${percentage.toFixed()}%`
-					);
-				}
+				const lines = (buffer + data.toString()).split('\n');
+				buffer = lines.pop();
+
+				lines.forEach((line) => {
+					const [key, value] = line.trim().split('=');
+					if (!key) return;
+
+					block[key] = value;
+					if (key === 'progress') {
+						/**
+						 * @event FFmpeg#progress
+						 * @type {ProgressData}
+						 */
+						this.emit('progress', this.parseProgress(block));
+						block = {};
+					}
+				});
 			});
 
 			ffmpegProcess.stderr.on('data', (data) => {
 				const output = String(data);
+				stderr += output;
+
 				if (output.includes('already exists. Exiting.')) {
 					reject(new Error(`ffmpeg: ${data}`));
 				} else {
-					logger('warn,ffmpeg', output);
+					this.logger('warn,ffmpeg', output);
 				}
 			});
 
+			ffmpegProcess.on('error', reject);
 			ffmpegProcess.on('exit', (code) => {
 				if (code === 0) {
-					process.stdout.clearLine(0);
-					process.stdout.cursorTo(0);
-					process.stdout.write(
-						kleur.green(`Encoding '${this.meta.path.base}' [COMPLETE]\n`)
-					);
 					resolve('[Process completed]');
 				} else {
-					reject(new Error(`Process failed with ${ffmpegProcess.stderr}`));
+					reject(
+						new Error(
+							`Process failed with code ${code}: ${stderr.trim() || 'no output'}`
+						)
+					);
 				}
 			});
 		});
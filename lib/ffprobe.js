@@ -1,9 +1,117 @@
 // Use `ffprobe` to get data about input file
-import cli from './cli.js';
-import logger from '../utils/logger.js';
+import createLogger from '../utils/logger.js';
+import getLanguage from '../utils/getLanguage.js';
 import cp from 'node:child_process';
 
-export default (source) => {
+const textSubtitleCodecs = [
+	'subrip',
+	'srt',
+	'ass',
+	'ssa',
+	'webvtt',
+	'mov_text',
+	'text',
+];
+
+/**
+ * Gets the dimensions a video stream is displayed at, after stretching it to
+ * its sample aspect ratio and applying its rotation. ffmpeg rotates frames
+ * while decoding, but leaves the sample aspect ratio to the player
+ * @param {object} stream Video stream returned by ffprobe
+ * @returns {{width: number, height: number, rotation: number}} Rotation is
+ * in degrees
+ */
+function getDisplaySize(stream) {
+	const [num, den] = String(stream.sample_aspect_ratio || '1:1')
+		.split(':')
+		.map(Number);
+	const sampleAspectRatio = num > 0 && den > 0 ? num / den : 1;
+
+	// Rotation is stored as a display matrix, older files use a `rotate` tag
+	const rotation = Number(
+		stream.side_data_list?.find((data) => data.rotation !== undefined)
+			?.rotation ??
+			stream.tags?.rotate ??
+			0
+	);
+	const width = Math.round(stream.width * sampleAspectRatio);
+	const { height } = stream;
+
+	return Math.abs(Math.round(rotation / 90)) % 2 === 1
+		? { width: height, height: width, rotation }
+		: { width, height, rotation };
+}
+
+/**
+ * Describes a stream in a single line, to list streams to pick from
+ * @param {object} stream Stream returned by ffprobe
+ * @returns {string} e.g. `#1 audio aac 2ch (eng) [default]`
+ */
+function describeStream(stream) {
+	return [
+		`#${stream.index}`,
+		stream.codec_type,
+		stream.codec_name,
+		stream.width && `${stream.width}x${stream.height}`,
+		stream.channels && `${stream.channels}ch`,
+		stream.tags?.language && `(${stream.tags.language})`,
+		stream.tags?.title && `"${stream.tags.title}"`,
+		stream.disposition?.default && '[default]',
+		stream.disposition?.attached_pic && '[attached picture]',
+	]
+		.filter(Boolean)
+		.join(' ');
+}
+
+/**
+ * Picks a stream with a `--video-stream` or `--audio-stream` selector
+ * @param {object[]} streams Streams of a single type to pick from
+ * @param {(string|number|undefined)} selector Index of the stream in the
+ * input, a language as `lang:<code>` or `default` for the stream marked as
+ * default. Undefined picks the first stream
+ * @param {('video'|'audio')} type
+ * @returns {(object|undefined)} Undefined if there are no streams to pick from
+ * and no selector was given
+ */
+function selectStream(streams, selector, type) {
+	if (selector === undefined) return streams[0];
+
+	const value = String(selector);
+	let stream;
+
+	if (/^\d+$/.test(value)) {
+		stream = streams.find((candidate) => candidate.index === Number(value));
+	} else if (value.startsWith('lang:')) {
+		const language = getLanguage(value.slice('lang:'.length));
+		stream =
+			language &&
+			streams.find(
+				(candidate) =>
+					getLanguage(candidate.tags?.language)?.code === language.code
+			);
+	} else if (value === 'default') {
+		stream = streams.find((candidate) => candidate.disposition?.default);
+	} else {
+		throw new Error(
+			`Invalid --${type}-stream ${value}, use a stream index, lang:<code> or default`
+		);
+	}
+
+	if (!stream) {
+		throw new Error(
+			`No ${type} stream matches --${type}-stream ${value}, available ${type} streams are ${streams.map(describeStream).join(', ') || 'none'}`
+		);
+	}
+
+	return stream;
+}
+
+/**
+ * @param {string} source Path of the file to probe
+ * @param {object} [options] Packaging options
+ * @param {import('../utils/logger.js').Logger} [logger]
+ */
+export default (source, options = {}, logger = createLogger()) => {
 	const probeArgs = [
 		// Logging
 		'-hide_banner',
@@ -13,6 +121,7 @@ export default (source) => {
 		// Make sure the returned data shows select items
 		'-show_format',
 		'-show_streams',
+		'-show_chapters',
 
 		// Format output as JSON
 		'-print_format',
@@ -20,7 +129,7 @@ export default (source) => {
 	].filter(Boolean);
 
 	// Count frames if --count-frames is specified
-	if (cli.opts.countFrames) {
+	if (options.countFrames) {
 		logger('event', 'Getting file data with `-count_frames`, sit tight!');
 		probeArgs.push('-count_frames');
 	}
@@ -36,23 +145,77 @@ export default (source) => {
 		}
 	);
 
-	// Select streams
+	logger('info,stats', 'Available streams:');
+	data.streams.forEach((stream) => {
+		logger('info,stats', `  ${describeStream(stream)}`);
+	});
+
+	// Select streams, attached pictures are cover art rather than video
 	const streams = {
-		video: data.streams.find((stream) => stream.codec_type === 'video'),
-		audio: data.streams.find((stream) => stream.codec_type === 'audio'),
+		video: selectStream(
+			data.streams.filter(
+				(stream) =>
+					stream.codec_type === 'video' && !stream.disposition?.attached_pic
+			),
+			options.videoStream,
+			'video'
+		),
+		audio: selectStream(
+			data.streams.filter((stream) => stream.codec_type === 'audio'),
+			options.audioStream,
+			'audio'
+		),
+		coverArt: data.streams.find(
+			(stream) =>
+				stream.codec_type === 'video' && stream.disposition?.attached_pic
+		),
 	};
 
-	if (!streams.video.nb_frames && !streams.video.nb_read_frames) {
-		throw new Error(
-			"Couldn't get an accurate frame count from file header. Retry with --count-frames"
-		);
+	if (!streams.video && !streams.audio) {
+		throw new Error(`No video or audio streams available in ${source}`);
 	}
 
+	// Collect every audio stream for alternate renditions
+	const audioTracks = data.streams.filter(
+		(stream) => stream.codec_type === 'audio'
+	);
+
+	// Collect text based subtitle streams, bitmap subtitles can't be converted to WebVTT
+	const subtitleTracks = data.streams.filter((stream) => {
+		if (stream.codec_type !== 'subtitle') return false;
+
+		if (!textSubtitleCodecs.includes(stream.codec_name)) {
+			logger(
+				'warn',
+				`Skipping ${stream.codec_name} subtitle stream at index ${stream.index}, only text based subtitles are supported`
+			);
+			return false;
+		}
+
+		return true;
+	});
+
+	// Chapter titles are kept as strings, even when they look like numbers
+	const chapters = (data.chapters || []).map((chapter, index) => ({
+		start: chapter.start_time,
+		end: chapter.end_time,
+		title: String(chapter.tags?.title ?? `Chapter ${index + 1}`),
+	}));
+
 	// Compute FPS And
-	const fpsDecimal = streams.video.r_frame_rate
+	const fpsDecimal = streams.video?.r_frame_rate
 		.split('/')
 		.reduce((a, b) => a / b);
-	const prettyFPS = fpsDecimal.toString().replace(/(\d+\.[^0]+)\d+/, '$1');
+	const prettyFPS = fpsDecimal?.toString().replace(/(\d+\.[^0]+)\d+/, '$1');
+	const displaySize = streams.video && getDisplaySize(streams.video);
+
+	// MKV, WebM and variable frame rate sources often don't store a frame
+	// count. It's only reported with progress, so an estimate will do
+	const frameCount =
+		streams.video &&
+		(streams.video.nb_frames ||
+			streams.video.nb_read_frames ||
+			Math.round(Number(data.format.duration) * fpsDecimal));
 
 	logger(
 		'info,stats',
@@ -66,10 +229,29 @@ export default (source) => {
 			`${streams.video.width}x${streams.video.height}`,
 			`@ ${prettyFPS}fps`
 		);
+
+		if (
+			displaySize.width !== streams.video.width ||
+			displaySize.height !== streams.video.height
+		) {
+			logger(
+				'info,stats',
+				`Video is displayed at ${displaySize.width}x${displaySize.height}`,
+				displaySize.rotation ? `(rotated by ${displaySize.rotation}°)` : ''
+			);
+		}
 	} else {
 		logger('warn', `no video tracks available in ${source}`);
 	}
 
+	if (streams.coverArt) {
+		logger(
+			'info,stats',
+			`Cover art at index ${streams.coverArt.index}:`,
+			`${streams.coverArt.width}x${streams.coverArt.height}`
+		);
+	}
+
 	if (streams.audio) {
 		logger(
 			'info,stats',
@@ -77,14 +259,69 @@ export default (source) => {
 			`${streams.audio.channels}ch`,
 			`@ ${streams.audio.sample_rate}Hz`
 		);
+		audioTracks
+			.filter((track) => track !== streams.audio)
+			.forEach((track) => {
+				logger(
+					'info,stats',
+					`Additional audio stream at index ${track.index}:`,
+					`${track.channels}ch`,
+					`@ ${track.sample_rate}Hz`,
+					track.tags?.language ? `(${track.tags.language})` : ''
+				);
+			});
 	} else {
 		logger('warn', `no audio tracks available in ${source}`);
 	}
 
+	subtitleTracks.forEach((track) => {
+		logger(
+			'info,stats',
+			`Subtitle stream at index ${track.index}:`,
+			track.codec_name,
+			track.tags?.language ? `(${track.tags.language})` : ''
+		);
+	});
+
+	if (chapters.length > 0) {
+		logger('info,stats', `Found ${chapters.length} chapters`);
+	}
+
 	return {
 		streams,
+		audioTracks,
+		subtitleTracks,
+		chapters,
 		format: data.format,
 		fpsDecimal,
-		frameCount: streams.video.nb_frames || streams.video.nb_read_frames,
+		displaySize,
+		frameCount,
 	};
 };
+
+/**
+ * Gets the start time of a media file or playlist, used to line up
+ * renditions that are created outside of ffmpeg
+ * @param {string} source Path of the file to probe
+ * @returns {number} Start time in seconds, 0 if it couldn't be read
+ */
+export function probeStartTime(source) {
+	const output = cp
+		.spawnSync('ffprobe', [
+			'-hide_banner',
+			'-loglevel',
+			'fatal',
+			'-show_entries',
+			'format=start_time',
+			'-print_format',
+			'json',
+			source,
+		])
+		.stdout?.toString();
+
+	try {
+		return Number(JSON.parse(output).format.start_time) || 0;
+	} catch {
+		return 0;
+	}
+}
@@ -0,0 +1,88 @@
+/**
+ * Detection and handling of HDR video. HDR sources are either tone-mapped to
+ * SDR, or kept in a 10-bit HEVC ladder next to a tone-mapped SDR ladder.
+ */
+
+/**
+ * @typedef {('SDR'|'PQ'|'HLG')} DynamicRange
+ * Dynamic range of a video stream, named like the HLS `VIDEO-RANGE` attribute
+ *
+ * @typedef {object} ColorProperties
+ * @property {string} primaries ffmpeg name of the colour primaries
+ * @property {string} transfer ffmpeg name of the transfer characteristics
+ * @property {string} matrix ffmpeg name of the matrix coefficients
+ * @property {{primaries: number, transfer: number, matrix: number}} cicp
+ * Code points of the same properties as per ITU-T H.273, used by DASH
+ */
+
+// Transfer characteristics of HDR video, as reported by ffprobe
+const transfers = {
+	smpte2084: 'PQ',
+	'arib-std-b67': 'HLG',
+};
+
+/** @type {Object<string, ColorProperties>} */
+const colorProperties = {
+	PQ: {
+		primaries: 'bt2020',
+		transfer: 'smpte2084',
+		matrix: 'bt2020nc',
+		cicp: { primaries: 9, transfer: 16, matrix: 9 },
+	},
+	HLG: {
+		primaries: 'bt2020',
+		transfer: 'arib-std-b67',
+		matrix: 'bt2020nc',
+		cicp: { primaries: 9, transfer: 18, matrix: 9 },
+	},
+};
+
+/**
+ * Detects the dynamic range of a video stream from its colour properties
+ * @param {object} stream Video stream returned by ffprobe
+ * @returns {DynamicRange}
+ */
+function getDynamicRange(stream) {
+	const range = transfers[stream.color_transfer];
+
+	// HDR transfers only make sense with BT.2020 primaries, streams that don't
+	// say which primaries they use are taken at their word
+	if (
+		!range ||
+		(stream.color_primaries && stream.color_primaries !== 'bt2020')
+	) {
+		return 'SDR';
+	}
+
+	return range;
+}
+
+/**
+ * Looks up the colour properties HDR renditions are encoded with
+ * @param {DynamicRange} dynamicRange
+ * @returns {(ColorProperties|undefined)} Undefined for SDR
+ */
+function getColorProperties(dynamicRange) {
+	return colorProperties[dynamicRange];
+}
+
+/**
+ * Builds a filter chain that tone-maps HDR video to BT.709 SDR. The input's
+ * colour properties are set explicitly, as decoders don't always tag frames
+ * @param {DynamicRange} dynamicRange Dynamic range of the input
+ * @returns {(string|undefined)} Undefined for SDR, which needs no tone mapping
+ */
+function toneMapFilter(dynamicRange) {
+	const color = colorProperties[dynamicRange];
+	if (!color) return undefined;
+
+	return [
+		`zscale=tin=${color.transfer}:pin=${color.primaries}:min=${color.matrix}:t=linear:npl=100`,
+		'format=gbrpf32le',
+		'zscale=p=bt709',
+		'tonemap=hable:desat=0',
+		'zscale=t=bt709:m=bt709:r=tv',
+	].join(',');
+}
+
+export { getDynamicRange, getColorProperties, toneMapFilter };
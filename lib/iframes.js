@@ -0,0 +1,289 @@
+/**
+ * Builds I-frame playlists for trick play. Renditions are encoded with a
+ * fixed GOP that starts every segment on a keyframe, so each segment's
+ * keyframe is referenced as a byte range of the segment instead of being
+ * encoded again.
+ */
+
+// Internals
+import fs from 'node:fs';
+import path from 'node:path';
+
+// Size of an MPEG-TS packet in bytes
+const tsPacketSize = 188;
+
+/**
+ * @typedef {import('../utils/readMediaPlaylist.js').MediaPlaylist} MediaPlaylist
+ *
+ * @typedef {object} IFrame
+ * @property {string} path Path to the segment holding the keyframe
+ * @property {number} duration Time until the next keyframe in seconds
+ * @property {number} offset Start of the byte range in the segment
+ * @property {number} length Length of the byte range in bytes
+ */
+
+/**
+ * Checks whether a bit of a flags field is set
+ * @param {number} flags
+ * @param {number} flag Value of the bit, e.g. `0x200`
+ * @returns {boolean}
+ */
+function hasFlag(flags, flag) {
+	return Math.floor(flags / flag) % 2 === 1;
+}
+
+/**
+ * Lists the boxes of an ISO BMFF buffer between two offsets
+ * @param {Buffer} buffer
+ * @param {number} [start]
+ * @param {number} [end]
+ * @returns {{type: string, start: number, data: number, end: number}[]}
+ * `data` is where the payload of each box starts
+ */
+function listBoxes(buffer, start = 0, end = buffer.length) {
+	const boxes = [];
+
+	for (let offset = start; offset + 8 <= end;) {
+		let size = buffer.readUInt32BE(offset);
+		let header = 8;
+
+		if (size === 1) {
+			size = Number(buffer.readBigUInt64BE(offset + 8));
+			header = 16;
+		} else if (size === 0) {
+			size = end - offset;
+		}
+
+		if (size < header) break;
+
+		boxes.push({
+			type: buffer.toString('latin1', offset + 4, offset + 8),
+			start: offset,
+			data: offset + header,
+			end: offset + size,
+		});
+		offset += size;
+	}
+
+	return boxes;
+}
+
+/**
+ * Reads the ID of the video track from an initialization segment
+ * @param {Buffer} buffer
+ * @returns {(number|undefined)}
+ */
+function findVideoTrack(buffer) {
+	const moov = listBoxes(buffer).find((box) => box.type === 'moov');
+	if (!moov) return undefined;
+
+	for (const trak of listBoxes(buffer, moov.data, moov.end).filter(
+		(box) => box.type === 'trak'
+	)) {
+		const children = listBoxes(buffer, trak.data, trak.end);
+		const tkhd = children.find((box) => box.type === 'tkhd');
+		const mdia = children.find((box) => box.type === 'mdia');
+		const hdlr = mdia
+			? listBoxes(buffer, mdia.data, mdia.end).find(
+					(box) => box.type === 'hdlr'
+				)
+			: undefined;
+
+		// Handler type follows the version, flags and pre_defined fields
+		if (
+			tkhd &&
+			hdlr &&
+			buffer.toString('latin1', hdlr.data + 8, hdlr.data + 12) === 'vide'
+		) {
+			// The track_ID follows the creation and modification times
+			return buffer.readUInt32BE(
+				tkhd.data + (buffer[tkhd.data] === 1 ? 20 : 12)
+			);
+		}
+	}
+
+	return undefined;
+}
+
+/**
+ * Finds the keyframe an fMP4 segment starts with
+ * @param {Buffer} buffer Contents of the segment
+ * @param {number} trackId ID of the video track
+ * @returns {({offset: number, length: number}|undefined)} A range from the
+ * start of the segment to the end of the keyframe, so it carries the `moof`
+ */
+function findFmp4Keyframe(buffer, trackId) {
+	const moof = listBoxes(buffer).find((box) => box.type === 'moof');
+	if (!moof) return undefined;
+
+	for (const traf of listBoxes(buffer, moof.data, moof.end).filter(
+		(box) => box.type === 'traf'
+	)) {
+		const children = listBoxes(buffer, traf.data, traf.end);
+		const tfhd = children.find((box) => box.type === 'tfhd');
+		const trun = children.find((box) => box.type === 'trun');
+
+		if (!tfhd || !trun || buffer.readUInt32BE(tfhd.data + 4) !== trackId) {
+			continue;
+		}
+
+		// Optional tfhd fields follow the track ID in the order of their flags,
+		// which are the 24 bits after the version
+		const tfhdFlags = buffer.readUIntBE(tfhd.data + 1, 3);
+		let field = tfhd.data + 8;
+		let base = moof.start;
+		let defaultSize;
+
+		if (hasFlag(tfhdFlags, 0x1)) {
+			base = Number(buffer.readBigUInt64BE(field));
+			field += 8;
+		}
+
+		if (hasFlag(tfhdFlags, 0x2)) field += 4;
+		if (hasFlag(tfhdFlags, 0x8)) field += 4;
+		if (hasFlag(tfhdFlags, 0x10)) defaultSize = buffer.readUInt32BE(field);
+
+		// Same for trun, the size of the first sample comes after its duration
+		const trunFlags = buffer.readUIntBE(trun.data + 1, 3);
+		field = trun.data + 8;
+		let dataOffset = 0;
+
+		if (hasFlag(trunFlags, 0x1)) {
+			dataOffset = buffer.readInt32BE(field);
+			field += 4;
+		}
+
+		if (hasFlag(trunFlags, 0x4)) field += 4;
+		if (hasFlag(trunFlags, 0x100)) field += 4;
+
+		const size = hasFlag(trunFlags, 0x200)
+			? buffer.readUInt32BE(field)
+			: defaultSize;
+		if (size === undefined) return undefined;
+
+		return { offset: 0, length: base + dataOffset + size };
+	}
+
+	return undefined;
+}
+
+/**
+ * Finds the keyframe an MPEG-TS segment starts with
+ * @param {Buffer} buffer Contents of the segment
+ * @returns {({offset: number, length: number}|undefined)} A range from the
+ * start of the segment, so it carries the PAT and PMT, to the packet that
+ * starts the next video frame
+ */
+function findTsKeyframe(buffer) {
+	const starts = [];
+
+	for (
+		let offset = 0;
+		offset + tsPacketSize <= buffer.length && starts.length < 2;
+		offset += tsPacketSize
+	) {
+		// Only packets that start a PES packet are of interest
+		if (buffer[offset] !== 0x47 || !hasFlag(buffer[offset + 1], 0x40)) {
+			continue;
+		}
+
+		// The adaptation field control sits above the continuity counter
+		const adaptation = Math.floor(buffer[offset + 3] / 0x10) % 4;
+		const payload =
+			offset + 4 + (hasFlag(adaptation, 0x2) ? buffer[offset + 4] + 1 : 0);
+
+		// Video PES packets have a stream ID between 0xE0 and 0xEF
+		if (
+			hasFlag(adaptation, 0x1) &&
+			payload + 4 <= offset + tsPacketSize &&
+			buffer.readUIntBE(payload, 3) === 0x000001 &&
+			buffer[payload + 3] >= 0xe0 &&
+			buffer[payload + 3] <= 0xef
+		) {
+			starts.push(offset);
+		}
+	}
+
+	if (starts.length === 0) return undefined;
+
+	return {
+		offset: 0,
+		length:
+			starts[1] ?? Math.floor(buffer.length / tsPacketSize) * tsPacketSize,
+	};
+}
+
+/**
+ * Finds the keyframe every segment of a media playlist starts with
+ * @param {MediaPlaylist} playlist
+ * @returns {Promise<IFrame[]>}
+ */
+async function readIFrames(playlist) {
+	const trackId = playlist.initialization
+		? findVideoTrack(await fs.promises.readFile(playlist.initialization))
+		: undefined;
+
+	if (playlist.initialization && trackId === undefined) {
+		throw new Error(
+			`${playlist.initialization} has no video track to read keyframes from`
+		);
+	}
+
+	const iframes = [];
+	for (const segment of playlist.segments) {
+		// Segments are read one at a time, so long inputs don't fill up memory
+		// eslint-disable-next-line no-await-in-loop
+		const buffer = await fs.promises.readFile(segment.path);
+		const range = playlist.initialization
+			? findFmp4Keyframe(buffer, trackId)
+			: findTsKeyframe(buffer);
+
+		if (!range) {
+			throw new Error(`${segment.path} doesn't start with a keyframe`);
+		}
+
+		iframes.push({ path: segment.path, duration: segment.duration, ...range });
+	}
+
+	return iframes;
+}
+
+/**
+ * Builds an I-frame playlist that references keyframes as byte ranges of the
+ * segments they're in
+ * @param {object} playlist
+ * @param {string} playlist.path Path the playlist will be written to, URIs
+ * are relative to it
+ * @param {(string|undefined)} playlist.initialization Path to the
+ * initialization segment of fMP4 renditions
+ * @param {IFrame[]} playlist.iframes
+ * @returns {string} The playlist
+ */
+function createIFramePlaylist({ path: playlistPath, initialization, iframes }) {
+	const relative = (file) =>
+		path.relative(path.dirname(playlistPath), file).split(path.sep).join('/');
+
+	return [
+		'#EXTM3U',
+		// Byte ranges need version 4, EXT-X-MAP in I-frame playlists version 5
+		`#EXT-X-VERSION:${initialization ? 5 : 4}`,
+		`#EXT-X-TARGETDURATION:${Math.max(
+			...iframes.map((iframe) => Math.round(iframe.duration))
+		)}`,
+		'#EXT-X-MEDIA-SEQUENCE:0',
+		'#EXT-X-PLAYLIST-TYPE:VOD',
+		'#EXT-X-I-FRAMES-ONLY',
+		initialization && `#EXT-X-MAP:URI="${relative(initialization)}"`,
+		...iframes.flatMap((iframe) => [
+			`#EXTINF:${iframe.duration.toFixed(6)},`,
+			`#EXT-X-BYTERANGE:${iframe.length}@${iframe.offset}`,
+			relative(iframe.path),
+		]),
+		'#EXT-X-ENDLIST',
+		'',
+	]
+		.filter((line) => line !== undefined)
+		.join('\n');
+}
+
+export { readIFrames, createIFramePlaylist };
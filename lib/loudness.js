@@ -0,0 +1,117 @@
+/**
+ * Two-pass EBU R128 loudness normalization with ffmpeg's `loudnorm` filter.
+ * The first pass measures each audio stream, the second pass applies the
+ * measured values so the whole stream is normalized linearly instead of
+ * being compressed on the fly.
+ */
+
+// Internals
+import cp from 'node:child_process';
+
+// Maximum true peak in dBTP, as per EBU R128
+const truePeak = -1;
+
+/**
+ * @typedef {object} Loudness
+ * @property {number} integrated Integrated loudness in LUFS
+ * @property {number} truePeak True peak in dBTP
+ * @property {number} range Loudness range in LU
+ * @property {number} threshold Gating threshold in LUFS
+ * @property {number} offset Gain offset for the second pass in LU
+ */
+
+/**
+ * Measures the loudness of an audio stream
+ * @param {string} source Path of the input
+ * @param {object} stream Audio stream returned by ffprobe
+ * @param {object} options
+ * @param {number} options.target Integrated loudness to normalize to in LUFS
+ * @param {string[]} [options.inputArguments] Arguments to place before `-i`,
+ * e.g. to trim the input
+ * @returns {Promise<(Loudness|undefined)>} Undefined for silent streams,
+ * which can't be normalized
+ */
+async function measureLoudness(
+	source,
+	stream,
+	{ target, inputArguments = [] }
+) {
+	const args = [
+		'-hide_banner',
+		'-nostats',
+		...inputArguments,
+		'-i',
+		source,
+		'-map',
+		`0:${stream.index}`,
+		'-filter:a',
+		`loudnorm=I=${target}:TP=${truePeak}:print_format=json`,
+		'-f',
+		'null',
+		'-',
+	];
+
+	const output = await new Promise((resolve, reject) => {
+		const ffmpegProcess = cp.spawn('ffmpeg', args);
+		let stderr = '';
+
+		ffmpegProcess.stderr.on('data', (data) => {
+			stderr += data;
+		});
+		ffmpegProcess.on('error', reject);
+		ffmpegProcess.on('exit', (code) => {
+			if (code === 0) {
+				resolve(stderr);
+			} else {
+				reject(
+					new Error(
+						`Measuring the loudness of stream ${stream.index} failed: ${stderr.trim().split('\n').at(-1)}`
+					)
+				);
+			}
+		});
+	});
+
+	// The loudnorm filter prints its measurements as the last JSON object on stderr
+	const json = output.slice(
+		output.lastIndexOf('{'),
+		output.lastIndexOf('}') + 1
+	);
+	const measured = JSON.parse(json);
+	const loudness = {
+		integrated: Number(measured.input_i),
+		truePeak: Number(measured.input_tp),
+		range: Number(measured.input_lra),
+		threshold: Number(measured.input_thresh),
+		offset: Number(measured.target_offset),
+	};
+
+	return Object.values(loudness).every(Number.isFinite) ? loudness : undefined;
+}
+
+/**
+ * Builds the second `loudnorm` pass for a measured audio stream
+ * @param {Loudness} loudness Values measured by {@link measureLoudness}
+ * @param {number} target Integrated loudness to normalize to in LUFS
+ * @returns {string} A filter for `-filter:a`. loudnorm upsamples to 192kHz,
+ * so outputs have to set their sample rate with `-ar`
+ */
+function loudnormFilter(loudness, target) {
+	// Targeting the measured range keeps loudnorm in linear mode, older ffmpeg
+	// builds don't accept a range above 20 LU
+	const range = Math.min(Math.max(loudness.range, 1), 20);
+
+	return [
+		`loudnorm=I=${target}`,
+		`TP=${truePeak}`,
+		`LRA=${range}`,
+		`measured_I=${loudness.integrated}`,
+		`measured_TP=${loudness.truePeak}`,
+		`measured_LRA=${loudness.range}`,
+		`measured_thresh=${loudness.threshold}`,
+		`offset=${loudness.offset}`,
+		'linear=true',
+	].join(':');
+}
+
+export { measureLoudness, loudnormFilter };
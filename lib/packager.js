@@ -0,0 +1,2569 @@
+/**
+ * Exports the packager, which converts a single input into a set of files
+ * to play using HLS. Used by both the CLI and the programmatic API.
+ */
+
+// Internals
+import path from 'node:path';
+import fs from 'node:fs';
+import { EventEmitter } from 'node:events';
+
+// Locals
+import FFmpeg from './ffmpeg.js';
+import defaults from './defaults.js';
+import findPoster from '../utils/findPoster.js';
+import findSubtitles from '../utils/findSubtitles.js';
+import findChapters from '../utils/findChapters.js';
+import listFiles from '../utils/listFiles.js';
+import readMediaPlaylist from '../utils/readMediaPlaylist.js';
+import createLogger from '../utils/logger.js';
+import convertTime from '../utils/convertTime.js';
+import getTimelinePreviewSpecs from '../utils/getTimelinePreviewSpecs.js';
+import getTeaserExcerpts from '../utils/getTeaserExcerpts.js';
+import getStoryboardLayout from '../utils/getStoryboardLayout.js';
+import getLanguage from '../utils/getLanguage.js';
+import hlsPlaylist from '../utils/hlsPlaylist.js';
+import webvtt from '../utils/webvtt.js';
+import chapters from '../utils/chapters.js';
+import { probeStartTime } from './ffprobe.js';
+import { createKeys, countSegments, encryptPlaylist } from './encryption.js';
+import { createManifest } from './dash.js';
+import { readIFrames, createIFramePlaylist } from './iframes.js';
+import {
+	parseTarget,
+	readCredentials,
+	packageUrl,
+	publishPackage,
+} from './publish.js';
+import { getVideoCodec, getDefaultLevel, getBitDepth } from './codecs.js';
+import { measureLoudness, loudnormFilter } from './loudness.js';
+import { getDynamicRange, getColorProperties, toneMapFilter } from './hdr.js';
+import codecString from '../utils/codecString.js';
+import pkg from './pkg.js';
+
+// Externals
+import sharp from 'sharp';
+
+/**
+ * @typedef {object} PackageResult
+ * @property {string} source Absolute path of the packaged input
+ * @property {string} slug Slug used to name the output directory
+ * @property {string} output Absolute path of the output directory
+ * @property {(string|undefined)} manifest Path to the root HLS playlist
+ * @property {(string|undefined)} dash Path to the MPEG-DASH manifest
+ * @property {(string|undefined)} fallback Path to the progressive fallback
+ * @property {string} metadata Path to the `media.json` sidecar
+ * @property {Rendition[]} renditions List of encoded video renditions
+ * @property {AudioRendition[]} audio List of alternate audio renditions, empty
+ * when audio is muxed into the video renditions
+ * @property {SubtitleRendition[]} subtitles List of WebVTT subtitle renditions
+ * @property {(string|undefined)} chapters Path to the WebVTT chapters track
+ * @property {(Array<{n: number, uri: string, file: string, iv: string}>|undefined)} keys
+ * AES-128 keys the HLS segments were encrypted with
+ * @property {(string|undefined)} poster Path to the poster image
+ * @property {({path: string, width: number, height: number}[]|undefined)} posterSizes
+ * Every size of the poster from small to large, for `srcset`
+ * @property {(string|undefined)} placeholder Tiny copy of the poster as a
+ * data URI, to show blurred while the poster loads
+ * @property {({mp4: (string|undefined), webp: (string|undefined)}|undefined)} teaser
+ * Paths to the teaser loop in each requested format
+ * @property {({images: string[], vtt: string}|undefined)} storyboard Paths to
+ * every sheet of the timeline preview storyboard and its VTT file
+ * @property {(string|undefined)} published URL the package was published
+ * to as `s3://bucket/key`, undefined without `publish`
+ * @property {{path: string, size: number}[]} files Every file written, with
+ * its size in bytes
+ *
+ * @typedef {object} PackagePlan
+ * What a run would do, returned instead of a {@link PackageResult} with `dryRun`
+ * @property {string} source Absolute path of the input
+ * @property {string} slug Slug used to name the output directory
+ * @property {string} output Absolute path of the output directory
+ * @property {({start: number, end: number}|undefined)} trim Part of the input
+ * that's packaged, undefined when it's packaged whole
+ * @property {{duration: number, video: (object|undefined), audio: (object|undefined)}} media
+ * Properties of the input as probed by ffprobe
+ * @property {Rendition[]} renditions Video renditions and the audio-only ladder
+ * @property {Array<Omit<AudioRendition, 'playlist'>>} audio Alternate audio renditions
+ * @property {Array<Omit<SubtitleRendition, 'playlist'>>} subtitles
+ * @property {import('../utils/chapters.js').Chapter[]} chapters
+ * @property {({frames: number, interval: number, columns: number, rows: number, sheets: number, width: number, height: number}|undefined)} timelinePreviews
+ * Frames and interval of the timeline previews, and the layout and size of
+ * each storyboard sheet
+ * @property {({width: number, height: number, excerpts: Array<{start: number, end: number}>}|undefined)} teaser
+ * @property {(string|undefined)} publish URL the package would be published
+ * to as `s3://bucket/key`
+ * @property {string[][]} commands Argument lists of every command that would run
+ * @property {PlannedOutput[]} outputs Files that would be written
+ *
+ * @typedef {object} PlannedOutput
+ * @property {string} path Path of the file, numbered files use a `%d` or `%04d` pattern
+ * @property {number} [count] Number of files written for a pattern
+ * @property {boolean} [conditional] Whether the file is only written
+ * depending on the input, like poster sizes narrower than a poster image
+ * @property {boolean} exists Whether the file (or the first one of a pattern) already exists
+ *
+ * @typedef {object} Rendition
+ * @property {string} name
+ * @property {string} [codec] Video encoder, omitted for audio-only renditions
+ * @property {number} [width] Omitted for audio-only renditions
+ * @property {number} [height] Omitted for audio-only renditions
+ * @property {number} bitrate
+ * @property {string} [profile] Omitted for audio-only renditions
+ * @property {string} [level] Omitted for audio-only renditions
+ * @property {string} [pixelFormat] Omitted for audio-only renditions
+ * @property {import('./hdr.js').DynamicRange} [dynamicRange] Omitted for
+ * audio-only renditions
+ * @property {string} playlist
+ * @property {string} [iframePlaylist] Path to the I-frame playlist, omitted
+ * for audio-only renditions and when I-frame playlists are skipped
+ *
+ * @typedef {object} AudioRendition
+ * @property {string} name
+ * @property {(string|undefined)} language BCP 47 language tag
+ * @property {string} title Human readable name of the rendition
+ * @property {boolean} default
+ * @property {string} playlist
+ *
+ * @typedef {object} SubtitleRendition
+ * @property {string} name
+ * @property {(string|undefined)} language BCP 47 language tag
+ * @property {string} title Human readable name of the rendition
+ * @property {boolean} default
+ * @property {boolean} forced
+ * @property {(string|number)} source Path of the sidecar file or index of the embedded stream
+ * @property {string} playlist
+ */
+
+/**
+ * Makes a name unique within a set of names by adding a counter to it
+ * @param {Set<string>} names Names already in use, the result is added to it
+ * @param {string} name
+ * @param {string} [separator]
+ * @returns {string}
+ */
+function uniqueName(names, name, separator = '_') {
+	let unique = name;
+	for (let count = 2; names.has(unique); count++) {
+		unique = `${name}${separator}${count}`;
+	}
+
+	names.add(unique);
+	return unique;
+}
+
+// Number of frames the poster frame is picked from
+const posterSamples = 24;
+
+// Width of the placeholder image inlined in the results
+const placeholderWidth = 16;
+
+// Options that shape the encoded media, which are recorded in `media.json`.
+// Paths, names and publishing settings are left out, the file is public
+const metadataOptions = [
+	'start',
+	'end',
+	'duration',
+	'hls',
+	'hlsType',
+	'hlsInterval',
+	'hlsEncryption',
+	'hlsEncryptionMethod',
+	'hlsKeyRotation',
+	'iframePlaylists',
+	'dash',
+	'videoStream',
+	'audioStream',
+	'videoCodec',
+	'videoPixelFormat',
+	'videoResolutions',
+	'videoBitrates',
+	'videoProfiles',
+	'videoLevels',
+	'hdr',
+	'audio',
+	'audioCodec',
+	'audioProfile',
+	'audioBitrate',
+	'audioBitrates',
+	'audioLanguages',
+	'loudnorm',
+	'loudnormTarget',
+	'subtitles',
+	'chapters',
+	'chapterKeyframes',
+	'posterWidths',
+	'teaser',
+	'teaserExcerpts',
+	'teaserExcerptDuration',
+	'teaserSize',
+	'timelinePreviews',
+	'timelinePreviewSpriteColumns',
+	'timelinePreviewTileHeight',
+	'timelinePreviewIntervalMin',
+	'timelinePreviewIntervalMax',
+	'timelinePreviewMaxImages',
+	'timelinePreviewSheetRows',
+	'timelinePreviewSheetMaxSize',
+	'fallback',
+	'imageFormat',
+];
+
+/**
+ * Scales display dimensions so their short edge matches a size, keeping the
+ * aspect ratio and rounding to even numbers as most encoders require
+ * @param {{width: number, height: number}} displaySize
+ * @param {number} size Length of the short edge
+ * @returns {{width: number, height: number}}
+ */
+function scaleToShortEdge({ width, height }, size) {
+	const scale = size / Math.min(width, height);
+
+	return {
+		width: 2 * Math.round((width * scale) / 2),
+		height: 2 * Math.round((height * scale) / 2),
+	};
+}
+
+/**
+ * @fires Packager#progress
+ */
+class Packager extends EventEmitter {
+	/**
+	 * @param {object} options Packaging options, see {@link defaults}
+	 * @param {string} options.input Path of the file to package
+	 */
+	constructor({ input, ...options } = {}) {
+		super();
+
+		if (!input) {
+			throw new Error('No input specified, pass one with `input`');
+		}
+
+		this.input = input;
+		this.options = { ...defaults, ...options };
+		this.logger = options.logger || createLogger(this.options);
+	}
+
+	/**
+	 * Emits a progress event for the current phase
+	 * @param {string} phase One of `probe`, `encode`, `images`, `storyboard`,
+	 * `plan` or `done`
+	 * @param {object} [data] Additional data describing the phase
+	 */
+	progress(phase, data = {}) {
+		/**
+		 * @event Packager#progress
+		 * @type {object}
+		 * @property {string} phase
+		 */
+		this.emit('progress', { phase, input: this.input, ...data });
+	}
+
+	/**
+	 * Runs every packaging step for the input, or only plans them when
+	 * `dryRun` is set
+	 * @returns {Promise<(PackageResult|PackagePlan)>}
+	 */
+	async run() {
+		const { transcoder, globals, paths } = await this.setup(this.input);
+		this.logger('info', 'File data:', transcoder, globals, paths);
+		this.buildArguments(transcoder, globals, paths);
+
+		if (this.options.dryRun) {
+			const plan = this.buildPlan(transcoder, paths);
+			this.progress('plan', { plan });
+
+			return plan;
+		}
+
+		await this.processVideo(transcoder, paths);
+		await this.processImages(transcoder, paths);
+
+		if (transcoder.chapters?.length > 0) {
+			await this.writeChapters(transcoder, paths);
+		}
+
+		if (this.options.dash) {
+			await this.writeDashManifest(transcoder, paths);
+		}
+
+		await this.writeMetadata(transcoder, paths);
+
+		// Clean up tempdir
+		await fs.promises.rm(paths.tmp, {
+			recursive: true,
+			force: true,
+		});
+
+		if (this.options.publish) {
+			await this.publish(transcoder, paths);
+		}
+
+		const result = await this.buildResult(transcoder, paths);
+		this.progress('done', { result });
+
+		return result;
+	}
+
+	async setup(source) {
+		const { options, logger } = this;
+
+		// Instance ffmpeg handler
+		const transcoder = new FFmpeg(options, logger);
+
+		// Set overwrite option
+		transcoder.addArguments('-y');
+
+		// Extract path to process
+		logger('info', 'Resolving paths...');
+		const sourcePath = path.resolve(source);
+
+		// Get stats
+		logger('info', 'Getting file data...');
+		transcoder.loadMeta(sourcePath);
+
+		// Destructure shorthand globals for specs
+		const {
+			fpsDecimal: $FPS,
+			format: $FORMAT,
+			streams: { video: $VIDEO, audio: $AUDIO, coverArt: $COVER_ART },
+		} = transcoder.specs;
+
+		// Only package part of the input when it's trimmed, every output and
+		// the frame count are relative to the trimmed part from here on
+		const trim = this.resolveTrim($FORMAT.duration);
+		if (trim) {
+			logger(
+				'event',
+				`Trimming to ${convertTime.toTimestamp(trim.start)} - ${convertTime.toTimestamp(trim.end)}`
+			);
+			transcoder.trim(trim.start, trim.end);
+		}
+
+		const $FRAME_COUNT = transcoder.frameCount;
+
+		this.progress('probe', {
+			duration: transcoder.duration,
+			frameCount: $FRAME_COUNT,
+			fps: $FPS,
+			trim,
+		});
+
+		const outputRoot = path.resolve(options.output || path.dirname(sourcePath));
+		const outputPath = path.resolve(
+			outputRoot,
+			options.outputPrefix,
+			transcoder.meta.rel,
+			transcoder.meta.slug
+		);
+
+		// Handle overwrite
+		if (fs.existsSync(outputPath) && !options.overwrite) {
+			throw new Error(
+				`Output path ${outputPath} already exists use --overwrite to force overwrite destination.`
+			);
+		}
+
+		const tmpPath = path.join(outputPath, '_tmp');
+
+		// Directory of the variant playlists, where `{stream}` is the variant name.
+		// When variants are written to their own directories, ffmpeg writes the
+		// root playlist one level up
+		const hlsPath = path.dirname(path.join(outputPath, options.hlsSegmentName));
+		const hlsRootPath = path.basename(hlsPath).includes('{stream}')
+			? path.dirname(hlsPath)
+			: hlsPath;
+
+		// Keys have to be kept out of the public output so they can be served
+		// from an authenticated endpoint
+		let keysPath;
+		if (options.hls && options.hlsEncryption) {
+			// SAMPLE-AES encrypts parts of each video NAL unit and audio frame,
+			// which takes rewriting the segments rather than encrypting them whole
+			if (options.hlsEncryptionMethod !== 'aes-128') {
+				throw new Error(
+					`--hls-encryption-method ${options.hlsEncryptionMethod} isn't supported, use aes-128`
+				);
+			}
+
+			if (!options.hlsKeyDir) {
+				throw new Error(
+					'--hls-encryption requires --hls-key-dir to write keys to'
+				);
+			}
+
+			keysPath = path.resolve(
+				options.hlsKeyDir,
+				transcoder.meta.rel,
+				transcoder.meta.slug
+			);
+
+			const relativeKeysPath = path.relative(outputRoot, keysPath);
+			if (
+				!relativeKeysPath.startsWith('..') &&
+				!path.isAbsolute(relativeKeysPath)
+			) {
+				throw new Error(
+					`Key directory ${keysPath} is inside the output directory ${outputRoot}, use a directory that isn't publicly served`
+				);
+			}
+
+			if (options.fallback) {
+				logger(
+					'warn',
+					'The progressive fallback is not encrypted, use --no-fallback to skip it'
+				);
+			}
+		}
+
+		// HDR is tone-mapped to SDR unless it's preserved in an extra ladder
+		const dynamicRange = $VIDEO ? getDynamicRange($VIDEO) : 'SDR';
+		const preserveHdr = dynamicRange !== 'SDR' && options.hdr === 'preserve';
+		transcoder.meta.dynamicRange = dynamicRange;
+
+		if (dynamicRange !== 'SDR') {
+			logger(
+				'event',
+				preserveHdr
+					? `Source is ${dynamicRange} HDR, encoding an HDR ladder next to a tone-mapped SDR ladder`
+					: `Source is ${dynamicRange} HDR, tone-mapping to SDR`
+			);
+		}
+
+		// A ladder is encoded for every video codec, plus a 10-bit HEVC ladder
+		// when HDR is preserved
+		const ladders = [options.videoCodec].flat().map((codec) => ({
+			codec,
+			dynamicRange: 'SDR',
+			pixelFormat: options.videoPixelFormat,
+		}));
+		const sdrLadderCount = ladders.length;
+
+		if (preserveHdr) {
+			ladders.push({
+				codec: 'libx265',
+				dynamicRange,
+				pixelFormat: 'yuv420p10le',
+			});
+		}
+
+		const videoCodecs = ladders.map(({ codec }) => codec);
+
+		// Switch to fMP4 segments for codecs that can't be played from MPEG-TS
+		const fmp4Codec = videoCodecs.find((codec) => getVideoCodec(codec).fmp4);
+		if ($VIDEO && options.hls && fmp4Codec && options.hlsType !== 'fmp4') {
+			logger(
+				'event',
+				`Using fMP4 segments, ${fmp4Codec} requires them for HLS`
+			);
+			options.hlsType = 'fmp4';
+		}
+
+		// Publishing happens after encoding, check what it needs before that
+		if (options.publish) {
+			parseTarget(options.publish);
+			if (!options.dryRun) readCredentials();
+		}
+
+		// DASH references the HLS segments, which have to be unencrypted fMP4
+		if (options.dash) {
+			if (!options.hls || options.hlsType !== 'fmp4') {
+				throw new Error('--dash requires HLS output with --hls-type fmp4');
+			}
+
+			if (options.hlsEncryption) {
+				throw new Error(
+					"--dash can't be combined with --hls-encryption, DASH players can't decrypt AES-128 segments"
+				);
+			}
+		}
+
+		// Build a resolution list and then filter that list down based on the
+		// short edge of the input, so portrait video is laddered like landscape
+		if ($VIDEO) {
+			const { displaySize } = transcoder.specs;
+			const sourceSize = Math.min(displaySize.width, displaySize.height);
+			const ladder = options.videoResolutions
+				.map((resolution, index) => ({ size: Number(resolution), index }))
+				.filter(({ size }) => {
+					if (size > sourceSize) {
+						logger(
+							'event',
+							`Skipping ${size}p output, source is ${sourceSize}p`
+						);
+
+						return false;
+					}
+
+					return true;
+				});
+
+			const {
+				videoBitrates: bitrates,
+				videoProfiles: profiles,
+				videoLevels: levels,
+			} = options;
+			const names = new Set();
+
+			transcoder.resolutions = ladders.flatMap(
+				({ codec, dynamicRange, pixelFormat }, ladderIndex) => {
+					const videoCodec = getVideoCodec(codec);
+					const hdr = dynamicRange !== 'SDR';
+
+					// Profiles and levels are named per codec, so the ones that were
+					// set only apply to the ladder of the first codec
+					const custom = ladderIndex === 0;
+
+					// Variants are named after their codec when there's more than one,
+					// HDR variants get an `_hdr` suffix. Portrait variants are named
+					// after both dimensions, e.g. `720x1280`
+					const variantName = ({ width, height }) =>
+						[
+							width >= height ? `${height}p` : `${width}x${height}`,
+							sdrLadderCount > 1 && videoCodec.name,
+							hdr && 'hdr',
+						]
+							.filter(Boolean)
+							.join('_');
+
+					return ladder.map(({ size, index }) => {
+						const { width, height } = scaleToShortEdge(displaySize, size);
+
+						// `videoBitrates` are meant for 16:9 renditions, other shapes get
+						// a bitrate proportional to their pixel count
+						const reference = scaleToShortEdge({ width: 16, height: 9 }, size);
+						const pixelRatio =
+							(width * height) / (reference.width * reference.height);
+
+						return {
+							name: uniqueName(names, variantName({ width, height })),
+							codec,
+							width,
+							height,
+							bitrate: Math.round(
+								Number(bitrates[index] || bitrates[bitrates.length - 1]) *
+									videoCodec.bitrateFactor *
+									pixelRatio
+							),
+							// Fall back to the codec's defaults when no profiles or levels
+							// are set, other codecs and the HDR ladder always use them
+							profile:
+								(custom &&
+									(profiles[index] || profiles[profiles.length - 1])) ||
+								videoCodec.profile(getBitDepth(pixelFormat), size),
+							level:
+								(custom && (levels[index] || levels[levels.length - 1])) ||
+								getDefaultLevel(videoCodec, size),
+							pixelFormat,
+							dynamicRange,
+						};
+					});
+				}
+			);
+		}
+
+		// Select audio streams to package
+		if ($AUDIO) {
+			transcoder.audioTracks = this.selectAudioTracks(
+				transcoder.specs.audioTracks,
+				$AUDIO
+			);
+		}
+
+		// First loudnorm pass, the measurements are applied by buildArguments
+		if ($AUDIO && options.loudnorm) {
+			for (const track of transcoder.audioTracks) {
+				logger('event', `Measuring loudness of ${track.title}`);
+				// Each pass decodes the whole input, so they run one at a time like
+				// the encodes
+				// eslint-disable-next-line no-await-in-loop
+				track.loudness = await measureLoudness(sourcePath, track.stream, {
+					target: Number(options.loudnormTarget),
+					inputArguments: transcoder.trimArguments,
+				});
+
+				if (track.loudness) {
+					const { integrated, truePeak, range } = track.loudness;
+					logger(
+						'event',
+						`${track.title}: ${integrated} LUFS integrated, ${truePeak} dBTP true peak, ${range} LU loudness range`
+					);
+				} else {
+					logger('warn', `${track.title} is silent, skipping normalization`);
+				}
+			}
+		}
+
+		// Build an audio bitrate ladder when there's no video
+		if (!$VIDEO) {
+			transcoder.audioBitrates = this.buildAudioLadder(
+				transcoder.audioTracks.find((track) => track.default).stream
+			);
+		}
+
+		// Collect embedded and sidecar subtitles
+		if (options.hls && options.subtitles) {
+			transcoder.subtitleTracks = this.selectSubtitleTracks(
+				transcoder.specs.subtitleTracks,
+				findSubtitles(sourcePath)
+			);
+		}
+
+		// Collect chapters, a sidecar chapter list takes precedence over embedded ones
+		if (options.chapters) {
+			transcoder.chapters = await this.loadChapters(
+				transcoder.specs,
+				findChapters(sourcePath)
+			);
+
+			if (trim) {
+				transcoder.chapters = chapters.trim(
+					transcoder.chapters,
+					trim.start,
+					trim.end
+				);
+			}
+		}
+
+		// Find poster frames
+		transcoder.meta.poster = findPoster(sourcePath);
+
+		// Create output directories
+		if (!options.dryRun) {
+			await fs.promises.mkdir(outputPath, { recursive: true });
+			await fs.promises.mkdir(tmpPath, { recursive: true });
+		}
+
+		return {
+			transcoder,
+			globals: {
+				$FORMAT,
+				$FRAME_COUNT,
+				$FPS,
+				$VIDEO,
+				$AUDIO: transcoder.audioTracks?.find((track) => track.default).stream,
+				$COVER_ART,
+			},
+			paths: {
+				source: sourcePath,
+				tmp: tmpPath,
+				output: outputPath,
+				fallback: path.join(
+					outputPath,
+					$VIDEO ? 'progressive.mp4' : 'progressive.mp3'
+				),
+				metadata: path.join(outputPath, 'media.json'),
+				chapters: path.join(outputPath, 'chapters.vtt'),
+				teaser: {
+					mp4: path.join(outputPath, 'teaser.mp4'),
+					webp: path.join(outputPath, 'teaser.webp'),
+				},
+				hls: hlsPath,
+				manifest: path.join(hlsRootPath, options.hlsRootPlaylistName),
+				dash: path.join(hlsRootPath, options.dashManifestName),
+				keys: keysPath,
+			},
+		};
+	}
+
+	/**
+	 * Works out which part of the input to package from `start`, `end` and
+	 * `duration`
+	 * @param {number} sourceDuration Duration of the input in seconds
+	 * @returns {({start: number, end: number}|undefined)} Start and end in
+	 * seconds, undefined when the whole input is packaged
+	 */
+	resolveTrim(sourceDuration) {
+		const { options } = this;
+		const parse = (name) => {
+			const value = options[name];
+			if (value === undefined || value === null || value === '') return;
+
+			const seconds = convertTime.toSeconds(value);
+			if (Number.isNaN(seconds) || seconds < 0) {
+				throw new Error(
+					`Invalid --${name} '${value}', use seconds or a [hh:]mm:ss timestamp`
+				);
+			}
+
+			return seconds;
+		};
+
+		const start = parse('start') ?? 0;
+		const end = parse('end');
+		const duration = parse('duration');
+
+		if (end !== undefined && duration !== undefined) {
+			throw new Error("--end and --duration can't be used together");
+		}
+
+		const trim = {
+			start,
+			end: Math.min(
+				end ?? (duration === undefined ? sourceDuration : start + duration),
+				sourceDuration
+			),
+		};
+
+		if (trim.start >= trim.end) {
+			throw new Error(
+				`Nothing to package between ${trim.start}s and ${trim.end}s, the input is ${sourceDuration}s long`
+			);
+		}
+
+		return trim.start > 0 || trim.end < sourceDuration ? trim : undefined;
+	}
+
+	/**
+	 * Filters audio streams down to the languages requested with
+	 * `audioLanguages` and describes each of them as a rendition. A stream
+	 * picked with `audioStream` is always kept and becomes the default, it's
+	 * the only one packaged when no languages are requested
+	 * @param {object[]} streams Audio streams returned by ffprobe
+	 * @param {object} mainStream Audio stream selected by ffprobe
+	 * @returns {Array<AudioRendition & {stream: object}>}
+	 */
+	selectAudioTracks(streams, mainStream) {
+		const { audioLanguages, audioStream } = this.options;
+		const requested = audioLanguages.map(
+			(language) => getLanguage(language)?.code || language
+		);
+
+		const selected = streams.filter((stream) => {
+			if (audioStream !== undefined && stream === mainStream) return true;
+			if (requested.length === 0) return audioStream === undefined;
+
+			return requested.includes(getLanguage(stream.tags?.language)?.code);
+		});
+
+		if (selected.length === 0) {
+			const available = streams
+				.map((stream) => stream.tags?.language || 'und')
+				.join(', ');
+			throw new Error(
+				`No audio streams match --audio-languages ${audioLanguages.join(' ')}, available languages are ${available}`
+			);
+		}
+
+		const defaultStream =
+			audioStream === undefined
+				? selected.find((stream) => stream.disposition?.default) || selected[0]
+				: mainStream;
+		const names = new Set();
+		const titles = new Set();
+
+		return selected.map((stream, index) => {
+			const language = getLanguage(stream.tags?.language);
+
+			return {
+				// Variant names and titles have to be unique
+				name: uniqueName(names, `audio_${language?.code || 'und'}`),
+				language: language?.code,
+				title: uniqueName(
+					titles,
+					String(stream.tags?.title || language?.name || `Audio ${index + 1}`),
+					' '
+				),
+				default: stream === defaultStream,
+				stream,
+			};
+		});
+	}
+
+	/**
+	 * Filters `audioBitrates` down to the bitrates that don't exceed the
+	 * source, keeping at least the lowest one
+	 * @param {object} stream Audio stream returned by ffprobe
+	 * @returns {{name: string, bitrate: number}[]}
+	 */
+	buildAudioLadder(stream) {
+		const { options, logger } = this;
+		const sourceBitrate = Number(stream.bit_rate) / 1000;
+		const bitrates = options.audioBitrates.map(Number).sort((a, b) => b - a);
+
+		return bitrates
+			.filter((bitrate, index) => {
+				if (
+					sourceBitrate &&
+					bitrate > sourceBitrate &&
+					index < bitrates.length - 1
+				) {
+					logger(
+						'event',
+						`Skipping ${bitrate}k output, source is ${sourceBitrate.toFixed()}k`
+					);
+					return false;
+				}
+
+				return true;
+			})
+			.map((bitrate) => ({ name: `${bitrate}k`, bitrate }));
+	}
+
+	/**
+	 * Describes embedded subtitle streams and sidecar subtitle files as
+	 * renditions, along with the ffmpeg input they're read from
+	 * @param {object[]} streams Text based subtitle streams returned by ffprobe
+	 * @param {import('../utils/findSubtitles.js').SubtitleFile[]} files Sidecar subtitle files
+	 * @returns {Array<SubtitleRendition & {map: string, file?: string}>}
+	 */
+	selectSubtitleTracks(streams, files) {
+		const names = new Set();
+		const titles = new Set();
+
+		const tracks = [
+			...streams.map((stream) => ({
+				source: stream.index,
+				map: `0:${stream.index}`,
+				language: getLanguage(stream.tags?.language),
+				title: stream.tags?.title,
+				default: Boolean(stream.disposition?.default),
+				forced: Boolean(stream.disposition?.forced),
+			})),
+			// Sidecar files are added as inputs after the source
+			...files.map((file, index) => ({
+				source: file.path,
+				file: file.path,
+				map: `${index + 1}:0`,
+				language: file.language,
+				default: false,
+				forced: file.forced,
+			})),
+		];
+
+		return tracks.map(({ language, title, ...track }, index) => ({
+			...track,
+			name: uniqueName(names, `subtitles_${language?.code || 'und'}`),
+			language: language?.code,
+			title: uniqueName(
+				titles,
+				[
+					String(title || language?.name || `Subtitles ${index + 1}`),
+					track.forced && '(Forced)',
+				]
+					.filter(Boolean)
+					.join(' '),
+				' '
+			),
+		}));
+	}
+
+	/**
+	 * Reads chapters from a sidecar chapter list, or from the input's
+	 * metadata when there's none
+	 * @param {import('./ffmpeg.js').VideoSpecs} specs
+	 * @param {(string|undefined)} file Path to a sidecar chapter list
+	 * @returns {Promise<import('../utils/chapters.js').Chapter[]>}
+	 */
+	async loadChapters(specs, file) {
+		if (!file) return specs.chapters;
+
+		this.logger('info', `Reading chapters from ${path.basename(file)}`);
+		try {
+			return chapters.parse(
+				await fs.promises.readFile(file, 'utf8'),
+				specs.format.duration
+			);
+		} catch (error) {
+			throw new Error(`${file}: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Adds the arguments to encode every output of the input in a single
+	 * ffmpeg run
+	 * @param {FFmpeg} transcoder
+	 */
+	buildArguments(transcoder, globals, paths) {
+		const { options, logger } = this;
+
+		// Destructure globals
+		const { $VIDEO, $AUDIO, $COVER_ART, $FPS } = globals;
+
+		// Second loudnorm pass of an audio track, undefined without normalization
+		const loudnorm = (track) =>
+			track?.loudness &&
+			loudnormFilter(track.loudness, Number(options.loudnormTarget));
+		const defaultTrack = transcoder.audioTracks?.find((track) => track.default);
+
+		// Images and SDR renditions of HDR sources are tone-mapped
+		const toneMap = toneMapFilter(transcoder.meta.dynamicRange);
+
+		// Add source path to args, trimmed inputs are seeked before decoding
+		transcoder.addArguments(...transcoder.trimArguments, '-i', paths.source);
+
+		// Add sidecar subtitles as additional inputs, trimmed the same way
+		transcoder.subtitleTracks
+			?.filter((track) => track.file)
+			.forEach((track) =>
+				transcoder.addArguments(...transcoder.trimArguments, '-i', track.file)
+			);
+
+		// Handle poster frame creation
+
+		if (!transcoder.meta.poster && $VIDEO) {
+			logger('info', 'Poster frame requested');
+
+			// Frames are sampled between 5% and 35% of the duration, and the
+			// `thumbnail` filter picks the one closest to their average, which
+			// skips fades and transitions that a single frame could land on.
+			// The window is trimmed in the filter chain, as `-ss` and `-t` on the
+			// output only apply after it
+			const posterStart = Number((transcoder.duration * 0.05).toFixed(3));
+			const posterWindow = Number((transcoder.duration * 0.3).toFixed(3));
+			const sampleInterval = Math.max(
+				1,
+				Math.floor((posterWindow * $FPS) / posterSamples)
+			);
+
+			transcoder
+				.addArgumentSet({
+					f: 'image2',
+					map: `0:${$VIDEO.index}`,
+					vf: [
+						`trim=start=${posterStart}:duration=${posterWindow}`,
+						`select='not(mod(\\n,${sampleInterval}))'`,
+						`thumbnail=${posterSamples}`,
+						toneMap,
+					].filter(Boolean),
+					fps_mode: 'passthrough',
+					'frames:v': 1,
+					update: 1,
+				})
+				.addArguments(path.join(paths.tmp, 'poster.png'));
+			transcoder.meta.posterFrame = path.join(paths.tmp, 'poster.png');
+		} else if (!transcoder.meta.poster && $COVER_ART) {
+			logger('info', 'Using embedded cover art as poster');
+			transcoder
+				.addArgumentSet({
+					f: 'image2',
+					map: `0:${$COVER_ART.index}`,
+					'frames:v': 1,
+					update: 1,
+				})
+				.addArguments(path.join(paths.tmp, 'poster.png'));
+			transcoder.meta.posterFrame = path.join(paths.tmp, 'poster.png');
+		}
+
+		if (options.teaser.length > 0 && $VIDEO) {
+			logger('info', `Teaser requested as ${options.teaser.join(', ')}`);
+			const { displaySize } = transcoder.specs;
+			const teaserSize = scaleToShortEdge(
+				displaySize,
+				Math.min(
+					Number(options.teaserSize),
+					displaySize.width,
+					displaySize.height
+				)
+			);
+			const excerpts = getTeaserExcerpts(transcoder.duration, options);
+
+			transcoder.meta.teaser = {
+				...teaserSize,
+				excerpts,
+				mp4: options.teaser.includes('mp4') ? paths.teaser.mp4 : undefined,
+				webp: options.teaser.includes('webp') ? paths.teaser.webp : undefined,
+			};
+
+			// Frames outside of the excerpts are dropped and the rest renumbered,
+			// which joins the excerpts back to back
+			const teaserFilter = [
+				`select='${excerpts
+					.map(({ start, end }) => `gte(t,${start})*lt(t,${end})`)
+					.join('+')}'`,
+				'setpts=N/FRAME_RATE/TB',
+				`scale=${teaserSize.width}:${teaserSize.height}`,
+				'setsar=1',
+				toneMap,
+				'format=yuv420p',
+			].filter(Boolean);
+
+			if (transcoder.meta.teaser.mp4) {
+				transcoder
+					.addArgumentSet({
+						f: 'mp4',
+						map: `0:${$VIDEO.index}`,
+						vf: teaserFilter,
+						'-an': true,
+						'codec:v': 'libx264',
+						'profile:v': 'main',
+						crf: 28,
+					})
+					.addArguments('-movflags', '+faststart', transcoder.meta.teaser.mp4);
+			}
+
+			// The animated WebP is written losslessly at a lower frame rate, and
+			// compressed by processImages along with the other images
+			if (transcoder.meta.teaser.webp) {
+				transcoder
+					.addArgumentSet({
+						f: 'webp',
+						map: `0:${$VIDEO.index}`,
+						vf: [...teaserFilter, 'fps=12'],
+						'-an': true,
+						'codec:v': 'libwebp_anim',
+						lossless: 1,
+						loop: 0,
+					})
+					.addArguments(path.join(paths.tmp, 'teaser.webp'));
+			}
+		}
+
+		if (options.fallback) {
+			if ($VIDEO) {
+				logger('info', 'Progressive MP4 was requested');
+				const { displaySize } = transcoder.specs;
+				const fallbackSize = scaleToShortEdge(
+					displaySize,
+					Math.min(540, displaySize.width, displaySize.height)
+				);
+				transcoder.addArgumentSet({
+					f: 'mp4',
+					map: `0:${$VIDEO.index}`,
+					vf: [
+						`scale=${fallbackSize.width}:${fallbackSize.height}`,
+						'setsar=1',
+						toneMap,
+						`format=${options.videoPixelFormat}`,
+					].filter(Boolean),
+					'codec:v': 'libx264',
+					'profile:v': 'main',
+					'level:v': 3.1,
+					'b:v': '1500k',
+					'maxrate:v': '1500k',
+					'bufsize:v': '2500k',
+				});
+				if ($AUDIO) {
+					transcoder.addArgumentSet({
+						map: `0:${$AUDIO.index}`,
+						'filter:a': loudnorm(defaultTrack),
+						'profile:a': options.audioProfile,
+						'codec:a': options.audioCodec,
+						ar: $AUDIO.sample_rate,
+						'b:a': '96k',
+					});
+				}
+
+				transcoder.addArguments('-movflags', '+faststart', paths.fallback);
+			} else {
+				logger('info', 'Progressive MP3 was requested');
+
+				// Like the audio ladder, don't exceed the bitrate of the source
+				const sourceBitrate = Math.round(Number($AUDIO.bit_rate) / 1000);
+				const mp3Bitrate = sourceBitrate
+					? Math.min(Number(options.audioBitrate), sourceBitrate)
+					: options.audioBitrate;
+
+				transcoder
+					.addArgumentSet({
+						f: 'mp3',
+						map: `0:${$AUDIO.index}`,
+						'filter:a': loudnorm(defaultTrack),
+						// Keep the source's sample rate rather than loudnorm's
+						ar: defaultTrack.loudness ? $AUDIO.sample_rate : undefined,
+						'codec:a': 'libmp3lame',
+						'b:a': `${mp3Bitrate}k`,
+					})
+					.addArguments(paths.fallback);
+			}
+		}
+
+		if (options.hls) {
+			logger('info', 'HLS package was requested');
+			const hlsKeyDistance = ($FPS * options.hlsInterval).toFixed();
+			const hlsSegmentExtension = { mpegts: 'ts', fmp4: 'm4s' }[
+				options.hlsType
+			];
+			const hlsSegmentName = options.hlsSegmentName
+				.replace('{stream}', '%v')
+				.replace('{index}', '%04d');
+			const hlsSegmentPath = path.join(paths.output, hlsSegmentName);
+
+			// Package audio streams as alternate renditions when there's more than
+			// one, or when DASH needs a separate audio track
+			const alternateAudio =
+				$VIDEO &&
+				(transcoder.audioTracks?.length > 1 ||
+					(options.dash && transcoder.audioTracks?.length > 0));
+			transcoder.meta.alternateAudio = alternateAudio;
+
+			// Use HLS as format
+			transcoder.addArguments('-f', 'hls');
+
+			if ($VIDEO) {
+				transcoder.addArgumentSet({
+					g: hlsKeyDistance,
+					keyint_min: hlsKeyDistance,
+				});
+			}
+
+			// Start a new GOP at every chapter so seeking to one lands on a keyframe
+			if (
+				$VIDEO &&
+				options.chapterKeyframes &&
+				transcoder.chapters?.length > 1
+			) {
+				transcoder.addArgumentSet({
+					'force_key_frames:v': transcoder.chapters
+						.slice(1)
+						.map((chapter) => chapter.start.toFixed(3))
+						.join(','),
+				});
+			}
+
+			if ($AUDIO) {
+				transcoder.addArgumentSet({
+					'c:a': options.audioCodec,
+					ar: $AUDIO.sample_rate,
+				});
+			}
+
+			transcoder.addArgumentSet({
+				hls_playlist_type: 'vod',
+				hls_segment_type: options.hlsType,
+				hls_time: options.hlsInterval,
+				hls_list_size: 0,
+				master_pl_name: options.hlsRootPlaylistName,
+				hls_segment_filename: `${hlsSegmentPath}.${hlsSegmentExtension}`,
+			});
+
+			if ($VIDEO) {
+				transcoder.resolutions.forEach((resolution, index) => {
+					const { tag } = getVideoCodec(resolution.codec);
+					const color = getColorProperties(resolution.dynamicRange);
+					transcoder.addArgumentSet({
+						map: `0:${$VIDEO.index}`,
+						[`c:v:${index}`]: resolution.codec,
+						[`filter:v:${index}`]: [
+							`scale=${resolution.width}:${resolution.height}`,
+							'setsar=1',
+							!color && toneMap,
+							`format=${resolution.pixelFormat}`,
+						].filter(Boolean),
+						...getVideoCodec(resolution.codec).arguments(index, {
+							...resolution,
+							color,
+						}),
+						// Tag HDR renditions so players and the container know their range
+						[`color_primaries:v:${index}`]: color?.primaries,
+						[`color_trc:v:${index}`]: color?.transfer,
+						[`colorspace:v:${index}`]: color?.matrix,
+						[`b:v:${index}`]: `${resolution.bitrate}k`,
+						[`maxrate:v:${index}`]: `${resolution.bitrate}k`,
+						[`bufsize:v:${index}`]: `${resolution.bitrate * 1.5}k`,
+					});
+
+					if (tag) transcoder.addArgumentSet({ [`tag:v:${index}`]: tag });
+
+					if ($AUDIO && !alternateAudio) {
+						transcoder.addArgumentSet({
+							map: `0:${$AUDIO.index}`,
+							[`filter:a:${index}`]: loudnorm(defaultTrack),
+							[`profile:a:${index}`]: options.audioProfile,
+							[`b:a:${index}`]: `${options.audioBitrate}k`,
+						});
+					}
+				});
+			}
+
+			if (!$VIDEO) {
+				logger(
+					'info',
+					`Packaging audio-only renditions at ${transcoder.audioBitrates
+						.map((rung) => rung.name)
+						.join(', ')}`
+				);
+				transcoder.audioBitrates.forEach((rung, index) => {
+					transcoder.addArgumentSet({
+						map: `0:${$AUDIO.index}`,
+						[`filter:a:${index}`]: loudnorm(defaultTrack),
+						[`profile:a:${index}`]: options.audioProfile,
+						[`b:a:${index}`]: `${rung.bitrate}k`,
+					});
+				});
+			}
+
+			if (alternateAudio) {
+				logger(
+					'info',
+					`Packaging ${transcoder.audioTracks.length} alternate audio renditions`
+				);
+				transcoder.audioTracks.forEach((track, index) => {
+					transcoder.addArgumentSet({
+						map: `0:${track.stream.index}`,
+						[`filter:a:${index}`]: loudnorm(track),
+						[`profile:a:${index}`]: options.audioProfile,
+						[`b:a:${index}`]: `${options.audioBitrate}k`,
+						[`ar:a:${index}`]: track.stream.sample_rate,
+					});
+				});
+			}
+
+			// Variant streams in the order ffmpeg numbers them
+			const variants = [
+				...(alternateAudio ? transcoder.audioTracks : []).map(
+					(track, index) => ({
+						name: track.name,
+						streams: [
+							`a:${index}`,
+							'agroup:audio',
+							track.language && `language:${track.language}`,
+						],
+					})
+				),
+				...(transcoder.audioBitrates || []).map((rung, index) => ({
+					name: rung.name,
+					streams: [`a:${index}`],
+				})),
+				...(transcoder.resolutions || []).map((resolution, index) => ({
+					name: resolution.name,
+					streams: [
+						$VIDEO && `v:${index}`,
+						$AUDIO && !alternateAudio && `a:${index}`,
+						alternateAudio && 'agroup:audio',
+					],
+				})),
+			];
+			transcoder.meta.variants = variants.map((variant) => variant.name);
+
+			// I-frame playlists reference keyframes as byte ranges, which can't be
+			// decrypted apart from the rest of an AES-128 segment
+			if (options.iframePlaylists && transcoder.resolutions?.length > 0) {
+				if (options.hlsEncryption) {
+					logger('info', 'Skipping I-frame playlists of encrypted segments');
+				} else {
+					transcoder.meta.iframes = true;
+				}
+			}
+
+			transcoder.addArgumentSet({
+				var_stream_map: variants
+					.map(({ name, streams }) =>
+						[...streams, `name:${name}`].filter(Boolean).join()
+					)
+					.join(' '),
+			});
+
+			// Set output
+			transcoder.addArguments(
+				path.join(path.dirname(hlsSegmentPath), 'index.m3u8')
+			);
+		}
+
+		if (options.timelinePreviews && $VIDEO) {
+			logger('info', 'Seek preview sprite requested');
+			transcoder.meta.mosaic = getTimelinePreviewSpecs(
+				transcoder.duration,
+				options
+			);
+
+			// Tiles keep the display aspect ratio of the source
+			const { displaySize } = transcoder.specs;
+			const tileHeight = Number(options.timelinePreviewTileHeight);
+			const tileWidth =
+				2 *
+				Math.round((tileHeight * displaySize.width) / displaySize.height / 2);
+			const { interval } = transcoder.meta.mosaic;
+
+			// Lay out one frame per interval, so the sheets are known ahead of a
+			// dry run
+			Object.assign(
+				transcoder.meta.mosaic,
+				getStoryboardLayout(
+					Math.ceil(transcoder.duration / interval),
+					{ width: tileWidth, height: tileHeight },
+					options
+				)
+			);
+
+			// Keep the first frame at or after each multiple of the interval, which
+			// holds up on variable frame rates and estimated frame counts. Frames
+			// are named after their timestamp in milliseconds
+			transcoder.addArgumentSet({
+				f: 'image2',
+				map: `0:${$VIDEO.index}`,
+				'c:v': 'png',
+				'filter:v': [
+					`select='gte(t\\,selected_n*${interval})'`,
+					`scale=${tileWidth}:${tileHeight}`,
+					toneMap,
+				].filter(Boolean),
+				fps_mode: 'passthrough',
+				enc_time_base: '1/1000',
+				frame_pts: 1,
+			});
+
+			transcoder.addArguments(path.join(paths.tmp, 'seek_%d.png'));
+		}
+
+		if (transcoder.subtitleTracks?.length > 0) {
+			logger(
+				'info',
+				`Converting ${transcoder.subtitleTracks.length} subtitle tracks to WebVTT`
+			);
+			transcoder.subtitleTracks.forEach((track) => {
+				transcoder
+					.addArgumentSet({
+						f: 'webvtt',
+						map: track.map,
+						'c:s': 'webvtt',
+					})
+					.addArguments(path.join(paths.tmp, `${track.name}.vtt`));
+			});
+		}
+	}
+
+	/**
+	 * Runs ffmpeg and finishes the renditions it can't create by itself
+	 * @param {FFmpeg} transcoder
+	 */
+	async processVideo(transcoder, paths) {
+		const { options } = this;
+
+		// Forward encoding progress
+		transcoder.on('progress', (data) => this.progress('encode', data));
+
+		// Encode everything
+		await transcoder.start();
+		this.progress('encode', { percent: 100, complete: true });
+
+		if (transcoder.subtitleTracks?.length > 0) {
+			await this.writeSubtitleRenditions(transcoder, paths);
+		}
+
+		if (options.hls && transcoder.meta.iframes) {
+			await this.writeIFramePlaylists(transcoder, paths);
+		}
+
+		if (options.hls && options.hlsEncryption) {
+			await this.encryptRenditions(transcoder, paths);
+		}
+
+		if (options.hls) {
+			await this.updateRootPlaylist(transcoder, paths);
+		}
+	}
+
+	/**
+	 * Writes an I-frame playlist next to every video variant, referencing the
+	 * keyframe each of its segments starts with
+	 * @param {FFmpeg} transcoder
+	 * @param {object} paths
+	 */
+	async writeIFramePlaylists(transcoder, paths) {
+		this.logger('event', 'Creating I-frame playlists');
+		transcoder.meta.iframePlaylists = {};
+
+		const writePlaylist = async (resolution) => {
+			const playlist = await readMediaPlaylist(
+				this.variantPlaylistPath(paths, resolution.name)
+			);
+			const iframes = await readIFrames(playlist);
+			const playlistPath = this.iframePlaylistPath(paths, resolution.name);
+			const total = (key) =>
+				iframes.reduce((sum, iframe) => sum + iframe[key], 0);
+
+			await fs.promises.writeFile(
+				playlistPath,
+				createIFramePlaylist({
+					path: playlistPath,
+					initialization: playlist.initialization,
+					iframes,
+				})
+			);
+
+			transcoder.meta.iframePlaylists[resolution.name] = {
+				path: playlistPath,
+				bandwidth: Math.round(
+					Math.max(
+						...iframes.map((iframe) => (iframe.length * 8) / iframe.duration)
+					)
+				),
+				averageBandwidth: Math.round((total('length') * 8) / total('duration')),
+			};
+		};
+
+		await Promise.all(transcoder.resolutions.map(writePlaylist));
+	}
+
+	/**
+	 * Adds the renditions ffmpeg doesn't know about to the root playlist
+	 * @param {FFmpeg} transcoder
+	 */
+	async updateRootPlaylist(transcoder, paths) {
+		const entries = hlsPlaylist.parse(
+			await fs.promises.readFile(paths.manifest, 'utf8')
+		);
+
+		this.updateVariantCodecs(entries, transcoder, paths);
+
+		if (transcoder.meta.alternateAudio) {
+			this.updateAudioRenditions(entries, transcoder, paths);
+		}
+
+		if (transcoder.subtitleTracks?.length > 0) {
+			this.addSubtitleRenditions(entries, transcoder, paths);
+		}
+
+		if (transcoder.meta.iframePlaylists) {
+			this.addIFrameStreams(entries, transcoder, paths);
+		}
+
+		await fs.promises.writeFile(paths.manifest, hlsPlaylist.stringify(entries));
+	}
+
+	/**
+	 * Sets the `CODECS` attribute of every variant stream, ffmpeg leaves it
+	 * out for some codecs. Video variants also get the `RESOLUTION` they're
+	 * encoded at and, in HDR packages, a `VIDEO-RANGE` so players that can't
+	 * display HDR stick to SDR
+	 * @param {import('../utils/hlsPlaylist.js').PlaylistEntry[]} entries Entries of the root playlist
+	 * @param {FFmpeg} transcoder
+	 */
+	updateVariantCodecs(entries, transcoder, paths) {
+		const { options } = this;
+		const audioCodec =
+			transcoder.audioTracks?.length > 0
+				? codecString.audio({
+						codec: options.audioCodec,
+						profile: options.audioProfile,
+					})
+				: undefined;
+
+		const hdr = transcoder.resolutions?.some(
+			(resolution) => resolution.dynamicRange !== 'SDR'
+		);
+
+		const variants = [
+			...(transcoder.resolutions || []).map((resolution) => ({
+				name: resolution.name,
+				codecs: [
+					codecString.video({
+						...resolution,
+						bitDepth: getBitDepth(resolution.pixelFormat),
+					}),
+					audioCodec,
+				],
+				resolution: `${resolution.width}x${resolution.height}`,
+				videoRange: hdr ? resolution.dynamicRange : undefined,
+			})),
+			...(transcoder.audioBitrates || []).map((rung) => ({
+				name: rung.name,
+				codecs: [audioCodec],
+			})),
+		];
+
+		entries
+			.filter((entry) => entry.tag === 'EXT-X-STREAM-INF')
+			.forEach((entry) => {
+				const variant = variants.find(
+					(variant) =>
+						entry.uri === this.relativePlaylistPath(paths, variant.name)
+				);
+
+				if (!variant) return;
+
+				entry.attributes.CODECS = variant.codecs.filter(Boolean).join(',');
+				if (variant.resolution) {
+					entry.attributes.RESOLUTION = variant.resolution;
+				}
+
+				if (variant.videoRange) {
+					entry.attributes['VIDEO-RANGE'] = variant.videoRange;
+				}
+			});
+	}
+
+	/**
+	 * Fills in the attributes ffmpeg can't set on the `EXT-X-MEDIA` tags of
+	 * alternate audio renditions
+	 * @param {import('../utils/hlsPlaylist.js').PlaylistEntry[]} entries Entries of the root playlist
+	 * @param {FFmpeg} transcoder
+	 */
+	updateAudioRenditions(entries, transcoder, paths) {
+		entries
+			.filter(
+				(entry) =>
+					entry.tag === 'EXT-X-MEDIA' && entry.attributes.TYPE === 'AUDIO'
+			)
+			.forEach((entry) => {
+				const track = transcoder.audioTracks.find(
+					(track) =>
+						entry.attributes.URI ===
+						this.relativePlaylistPath(paths, track.name)
+				);
+
+				if (!track) return;
+
+				Object.assign(entry.attributes, {
+					NAME: track.title,
+					LANGUAGE: track.language,
+					DEFAULT: track.default ? 'YES' : 'NO',
+					AUTOSELECT: 'YES',
+					CHANNELS: String(track.stream.channels),
+				});
+			});
+	}
+
+	/**
+	 * Lists subtitle renditions with `EXT-X-MEDIA` tags and links every
+	 * variant stream to them
+	 * @param {import('../utils/hlsPlaylist.js').PlaylistEntry[]} entries Entries of the root playlist
+	 * @param {FFmpeg} transcoder
+	 */
+	addSubtitleRenditions(entries, transcoder, paths) {
+		const groupId = 'subtitles';
+		const media = transcoder.subtitleTracks.map((track) => ({
+			tag: 'EXT-X-MEDIA',
+			attributes: {
+				TYPE: 'SUBTITLES',
+				'GROUP-ID': groupId,
+				NAME: track.title,
+				LANGUAGE: track.language,
+				DEFAULT: track.default ? 'YES' : 'NO',
+				AUTOSELECT: 'YES',
+				FORCED: track.forced ? 'YES' : 'NO',
+				URI: this.relativePlaylistPath(paths, track.name),
+			},
+		}));
+
+		entries
+			.filter((entry) => entry.tag === 'EXT-X-STREAM-INF')
+			.forEach((entry) => {
+				entry.attributes.SUBTITLES = groupId;
+			});
+
+		const index = entries.findIndex(
+			(entry) => entry.tag === 'EXT-X-STREAM-INF'
+		);
+		entries.splice(index === -1 ? entries.length : index, 0, ...media);
+	}
+
+	/**
+	 * Lists the I-frame playlist of every video variant with
+	 * `EXT-X-I-FRAME-STREAM-INF` tags after the variant streams
+	 * @param {import('../utils/hlsPlaylist.js').PlaylistEntry[]} entries Entries of the root playlist
+	 * @param {FFmpeg} transcoder
+	 */
+	addIFrameStreams(entries, transcoder, paths) {
+		const hdr = transcoder.resolutions.some(
+			(resolution) => resolution.dynamicRange !== 'SDR'
+		);
+
+		entries.push(
+			...transcoder.resolutions.map((resolution) => {
+				const {
+					path: playlistPath,
+					bandwidth,
+					averageBandwidth,
+				} = transcoder.meta.iframePlaylists[resolution.name];
+
+				return {
+					tag: 'EXT-X-I-FRAME-STREAM-INF',
+					attributes: {
+						BANDWIDTH: bandwidth,
+						'AVERAGE-BANDWIDTH': averageBandwidth,
+						CODECS: codecString.video({
+							...resolution,
+							bitDepth: getBitDepth(resolution.pixelFormat),
+						}),
+						RESOLUTION: `${resolution.width}x${resolution.height}`,
+						'VIDEO-RANGE': hdr ? resolution.dynamicRange : undefined,
+						URI: path
+							.relative(path.dirname(paths.manifest), playlistPath)
+							.split(path.sep)
+							.join('/'),
+					},
+				};
+			})
+		);
+	}
+
+	/**
+	 * Writes the chapters of the input as a WebVTT chapters track
+	 * @param {FFmpeg} transcoder
+	 */
+	async writeChapters(transcoder, paths) {
+		this.logger('event', 'Creating chapters.vtt');
+		await fs.promises.writeFile(
+			paths.chapters,
+			chapters.toWebVTT(transcoder.chapters)
+		);
+	}
+
+	/**
+	 * Segments the converted subtitle tracks and writes a media playlist
+	 * for each of them
+	 * @param {FFmpeg} transcoder
+	 */
+	async writeSubtitleRenditions(transcoder, paths) {
+		const { options, logger } = this;
+		const interval = Number(options.hlsInterval);
+
+		// Line cues up with the start time of the media segments
+		const [firstVariant] = hlsPlaylist
+			.parse(await fs.promises.readFile(paths.manifest, 'utf8'))
+			.filter((entry) => entry.tag === 'EXT-X-STREAM-INF');
+		const timestampOffset = firstVariant
+			? probeStartTime(
+					path.resolve(path.dirname(paths.manifest), firstVariant.uri)
+				)
+			: 0;
+
+		const writeRendition = async (track) => {
+			logger('event', `Creating subtitle rendition ${track.name}`);
+			const cues = webvtt.parse(
+				await fs.promises.readFile(
+					path.join(paths.tmp, `${track.name}.vtt`),
+					'utf8'
+				)
+			);
+
+			const segments = webvtt.segment(cues, {
+				duration: transcoder.duration,
+				interval,
+				timestampOffset,
+			});
+
+			const playlistPath = this.variantPlaylistPath(paths, track.name);
+			const playlist = [
+				'#EXTM3U',
+				'#EXT-X-VERSION:3',
+				`#EXT-X-TARGETDURATION:${Math.ceil(interval)}`,
+				'#EXT-X-MEDIA-SEQUENCE:0',
+				'#EXT-X-PLAYLIST-TYPE:VOD',
+			];
+
+			const segmentPaths = segments.map((segment, index) =>
+				this.segmentPath(paths, track.name, index, 'vtt')
+			);
+
+			segments.forEach((segment, index) => {
+				playlist.push(
+					`#EXTINF:${segment.duration.toFixed(6)},`,
+					path
+						.relative(path.dirname(playlistPath), segmentPaths[index])
+						.split(path.sep)
+						.join('/')
+				);
+			});
+			playlist.push('#EXT-X-ENDLIST');
+
+			await Promise.all(
+				[...segmentPaths, playlistPath].map((file) =>
+					fs.promises.mkdir(path.dirname(file), { recursive: true })
+				)
+			);
+			await Promise.all(
+				segments.map((segment, index) =>
+					fs.promises.writeFile(segmentPaths[index], segment.text)
+				)
+			);
+			await fs.promises.writeFile(playlistPath, playlist.join('\n') + '\n');
+		};
+
+		await Promise.all(transcoder.subtitleTracks.map(writeRendition));
+	}
+
+	/**
+	 * Encrypts the segments of every rendition encoded by ffmpeg, rotating
+	 * keys every `hlsKeyRotation` segments
+	 * @param {FFmpeg} transcoder
+	 * @param {object} paths
+	 */
+	async encryptRenditions(transcoder, paths) {
+		const { options, logger } = this;
+		const rotation = Number(options.hlsKeyRotation) || 0;
+		const playlists = transcoder.meta.variants.map((name) =>
+			this.variantPlaylistPath(paths, name)
+		);
+
+		const segmentCount = Math.max(
+			...(await Promise.all(
+				playlists.map((playlist) => countSegments(playlist))
+			))
+		);
+		const keys = await createKeys(
+			rotation > 0 ? Math.ceil(segmentCount / rotation) : 1,
+			{
+				dir: paths.keys,
+				uriTemplate: options.hlsKeyUri,
+				slug: transcoder.meta.slug,
+			}
+		);
+
+		logger(
+			'event',
+			`Encrypting segments with ${keys.length} key${keys.length > 1 ? 's' : ''}`
+		);
+		await Promise.all(
+			playlists.map((playlist) => encryptPlaylist(playlist, keys, rotation))
+		);
+
+		transcoder.meta.keys = keys.map(({ key, ...info }) => info);
+	}
+
+	/**
+	 * @param {object} paths
+	 * @param {string} name Name of the variant stream
+	 * @returns {string} Path to the playlist of a variant stream
+	 */
+	variantPlaylistPath(paths, name) {
+		return path.join(paths.hls.replace('{stream}', name), 'index.m3u8');
+	}
+
+	/**
+	 * @param {object} paths
+	 * @param {string} name Name of the variant stream
+	 * @returns {string} Path to the I-frame playlist of a variant stream
+	 */
+	iframePlaylistPath(paths, name) {
+		return path.join(paths.hls.replace('{stream}', name), 'iframes.m3u8');
+	}
+
+	/**
+	 * @param {object} paths
+	 * @param {string} name Name of the variant stream
+	 * @param {(number|string)} index Index of the segment, or a pattern like `%04d`
+	 * @param {string} extension
+	 * @returns {string} Path to a segment of a variant stream
+	 */
+	segmentPath(paths, name, index, extension) {
+		return `${path.join(
+			paths.output,
+			this.options.hlsSegmentName
+				.replace('{stream}', name)
+				.replace('{index}', String(index).padStart(4, '0'))
+		)}.${extension}`;
+	}
+
+	/**
+	 * Picks the widths of the smaller poster copies
+	 * @param {number} [width] Width of the poster, unknown for poster images
+	 * and cover art until they're read
+	 * @returns {number[]} `posterWidths` narrower than the poster, ascending
+	 */
+	posterWidths(width) {
+		return this.options.posterWidths
+			.map(Number)
+			.filter((size) => width === undefined || size < width)
+			.sort((a, b) => a - b);
+	}
+
+	/**
+	 * Works out the poster sizes a run writes before the poster is read.
+	 * Frames are scaled to the largest rendition and cover art keeps its size.
+	 * Poster images cover the rendition, how much wider they are is only known
+	 * once they're read
+	 * @param {FFmpeg} transcoder
+	 * @returns {Array<{width: number, conditional?: boolean}>} Sizes that
+	 * depend on the width of a poster image are `conditional`
+	 */
+	plannedPosterWidths(transcoder) {
+		const renditionWidth = transcoder.resolutions?.[0]?.width;
+		const posterWidth = transcoder.meta.poster
+			? undefined
+			: (renditionWidth ?? transcoder.specs.streams.coverArt?.width);
+
+		return this.posterWidths(posterWidth).map((width) => ({
+			width,
+			conditional:
+				posterWidth === undefined && !(width < renditionWidth)
+					? true
+					: undefined,
+		}));
+	}
+
+	/**
+	 * @param {object} paths
+	 * @param {number} sheet Number of the storyboard sheet, starting at 1
+	 * @returns {string} Path to a sheet of the timeline preview storyboard
+	 */
+	storyboardPath(paths, sheet) {
+		const { imageFormat } = this.options;
+
+		return path.join(
+			paths.output,
+			'seek',
+			`storyboard_${String(sheet).padStart(4, '0')}.${
+				imageFormat === 'jpeg' ? 'jpg' : imageFormat
+			}`
+		);
+	}
+
+	/**
+	 * @param {FFmpeg} transcoder
+	 * @param {object} paths
+	 * @param {string} file Path of a file in the output directory
+	 * @returns {string} URL the file is served from, prefixed with `outputPrefix`
+	 */
+	publicUrl(transcoder, paths, file) {
+		return path.posix.resolve(
+			'/',
+			this.options.outputPrefix,
+			transcoder.meta.rel,
+			transcoder.meta.slug,
+			...path.relative(paths.output, file).split(path.sep)
+		);
+	}
+
+	/**
+	 * @param {object} paths
+	 * @param {string} name Name of the variant stream
+	 * @returns {string} URI of a variant stream relative to the root playlist
+	 */
+	relativePlaylistPath(paths, name) {
+		return path
+			.relative(
+				path.dirname(paths.manifest),
+				this.variantPlaylistPath(paths, name)
+			)
+			.split(path.sep)
+			.join('/');
+	}
+
+	async processImages(transcoder, paths) {
+		const { options, logger } = this;
+
+		// Get output format
+		const outputFormat = options.imageFormat;
+		const imgExt = outputFormat === 'jpeg' ? 'jpg' : outputFormat;
+
+		// If a poster wasn't provided, time to set that
+		const posterSource = transcoder.meta.poster || transcoder.meta.posterFrame;
+
+		if (posterSource) {
+			logger('event', `Creating poster.${imgExt}`);
+			transcoder.meta.posterOutput = path.join(
+				paths.output,
+				`poster.${imgExt}`
+			);
+
+			// Video posters match the largest rendition, cover art keeps its size.
+			// Frames are stretched to the rendition's display aspect ratio, poster
+			// images keep their own and cover the rendition
+			const poster = sharp(posterSource);
+			if (transcoder.resolutions?.length > 0) {
+				const { width, height } = transcoder.resolutions[0];
+				poster.resize(width, height, {
+					fit: transcoder.meta.poster ? 'outside' : 'fill',
+				});
+			}
+
+			// Every size is scaled down from the same decoded poster
+			const { data, info } = await poster
+				.raw()
+				.toBuffer({ resolveWithObject: true });
+			const image = () =>
+				sharp(data, {
+					raw: {
+						width: info.width,
+						height: info.height,
+						channels: info.channels,
+					},
+				}).toFormat(outputFormat, {
+					effort: 6,
+					mozjpeg: true,
+					preset: 'photo',
+					quality: outputFormat === 'jpeg' ? 65 : 80,
+				});
+
+			await image().toFile(transcoder.meta.posterOutput);
+
+			// Smaller copies for `srcset`, listed from small to large
+			transcoder.meta.posterSizes = await Promise.all(
+				this.posterWidths(info.width).map(async (width) => {
+					const file = path.join(paths.output, `poster_${width}.${imgExt}`);
+					logger('event', `Creating ${path.basename(file)}`);
+					const { height } = await image().resize(width).toFile(file);
+
+					return { path: file, width, height };
+				})
+			);
+
+			transcoder.meta.posterSizes.push({
+				path: transcoder.meta.posterOutput,
+				width: info.width,
+				height: info.height,
+			});
+
+			// A tiny copy to inline as a blurred placeholder while the poster loads
+			const placeholder = await image()
+				.resize(placeholderWidth)
+				.toFormat(outputFormat, { quality: 40 })
+				.toBuffer();
+			transcoder.meta.placeholder = `data:image/${outputFormat};base64,${placeholder.toString('base64')}`;
+		} else {
+			logger('event', 'No poster or cover art available, skipping poster');
+		}
+
+		if (transcoder.meta.teaser?.webp) {
+			logger('event', 'Creating teaser.webp');
+			await sharp(path.join(paths.tmp, 'teaser.webp'), { animated: true })
+				.webp({ effort: 6, quality: 60, loop: 0 })
+				.toFile(transcoder.meta.teaser.webp);
+		}
+
+		this.progress('images', {
+			poster: transcoder.meta.posterOutput,
+			posterSizes: transcoder.meta.posterSizes,
+			placeholder: transcoder.meta.placeholder,
+			teaser: transcoder.meta.teaser && {
+				mp4: transcoder.meta.teaser.mp4,
+				webp: transcoder.meta.teaser.webp,
+			},
+		});
+
+		if (transcoder.meta.mosaic) {
+			const seekDir = path.join(paths.output, 'seek');
+			await fs.promises.mkdir(seekDir, { recursive: true });
+
+			// Collect list of files for mosaic, in order of the timestamp in
+			// milliseconds each one is named after
+			const seekImages = fs
+				.readdirSync(paths.tmp)
+				.filter((item) => /^seek_\d+\.png$/.test(item))
+				.map((item) => ({
+					path: path.resolve(paths.tmp, item),
+					time: Number(item.match(/\d+/)[0]) / 1000,
+				}))
+				.sort((a, b) => a.time - b.time);
+
+			// Use the first image to get some metadata
+			const seekImageMeta = await sharp(seekImages[0].path).metadata();
+
+			// Lay out the frames that were actually written, which can fall short
+			// of the planned count
+			const { columns, rows, sheets, width, height } = getStoryboardLayout(
+				seekImages.length,
+				seekImageMeta,
+				options
+			);
+			const tilesPerSheet = columns * rows;
+
+			// Tiles start at the timestamp of their frame, the first one at the
+			// beginning. Both thumbnails.vtt and the DASH manifest are timed by these
+			const times = seekImages.map((image, index) =>
+				index === 0 ? 0 : image.time
+			);
+
+			Object.assign(transcoder.meta.mosaic, {
+				columns,
+				rows,
+				sheets,
+				width,
+				height,
+				times,
+			});
+
+			// Map array of image names to an array of objects describing the sheet
+			// and the left and top point of each image
+			const imageData = seekImages.map((image, index) => ({
+				input: image.path,
+				time: image.time,
+				sheet: Math.floor(index / tilesPerSheet) + 1,
+				left: (index % columns) * seekImageMeta.width,
+				top:
+					Math.floor((index % tilesPerSheet) / columns) * seekImageMeta.height,
+			}));
+
+			// Compose each sheet by remapping its part of the data array into a new
+			// sharp image. Sheets share one size, so the last one is padded
+			const storyboardPaths = Array.from({ length: sheets }, (_, index) =>
+				this.storyboardPath(paths, index + 1)
+			);
+			await Promise.all(
+				storyboardPaths.map((storyboardPath, index) => {
+					logger('event', `Creating ${path.basename(storyboardPath)}`);
+
+					return sharp({
+						create: {
+							background: '#AAA',
+							channels: 3,
+							width,
+							height,
+						},
+					})
+						.composite(
+							imageData
+								.filter((img) => img.sheet === index + 1)
+								.map(({ input, left, top }) => ({ input, left, top }))
+						)
+						.toFormat(outputFormat, {
+							mozjpeg: true,
+							quality: outputFormat === 'jpeg' ? 40 : 50,
+							preset: 'icon',
+						})
+						.toFile(storyboardPath);
+				})
+			);
+
+			// Create an array of VTT entries by mapping the data array into a set of entries
+			logger('event', `Creating thumbnails.vtt`);
+			// Cues run from the start of each tile to the next one, the last ends
+			// with the media
+			const vttEntries = imageData.map((img, index) => {
+				const startTimestamp = convertTime.toTimestamp(times[index]);
+				const endTimestamp = convertTime.toTimestamp(
+					times[index + 1] ?? transcoder.duration
+				);
+				const tc = `${startTimestamp} --> ${endTimestamp}`;
+				const url = `${this.publicUrl(
+					transcoder,
+					paths,
+					storyboardPaths[img.sheet - 1]
+				)}#xywh=${img.left},${img.top},${seekImageMeta.width},${seekImageMeta.height}`;
+
+				return `${tc}\n${url}`;
+			});
+
+			const vttPath = path.join(seekDir, 'thumbnails.vtt');
+			await fs.promises.writeFile(
+				vttPath,
+				['WEBVTT', ...vttEntries].join('\n\n')
+			);
+
+			transcoder.meta.storyboard = { images: storyboardPaths, vtt: vttPath };
+			this.progress('storyboard', transcoder.meta.storyboard);
+		}
+	}
+
+	/**
+	 * Uploads the package to the `publish` target, the root playlist, DASH
+	 * manifest and `media.json` last
+	 * @param {FFmpeg} transcoder
+	 * @param {object} paths
+	 */
+	async publish(transcoder, paths) {
+		const { options, logger } = this;
+		const files = await listFiles(paths.output);
+
+		logger('event', `Publishing ${files.length} files to ${options.publish}`);
+		transcoder.meta.published = await publishPackage(
+			{
+				dir: paths.output,
+				files,
+				entryPoints: [paths.manifest, paths.dash, paths.metadata],
+				mutable: [
+					paths.fallback,
+					paths.chapters,
+					...(transcoder.meta.posterSizes || []).map((size) => size.path),
+					transcoder.meta.teaser?.mp4,
+					transcoder.meta.teaser?.webp,
+					...(transcoder.meta.storyboard?.images || []),
+					transcoder.meta.storyboard?.vtt,
+				].filter(Boolean),
+				urlPath: this.publicUrl(transcoder, paths, paths.output),
+			},
+			{
+				target: options.publish,
+				endpoint: options.publishEndpoint,
+				region: options.publishRegion,
+				concurrency: options.publishConcurrency,
+				retries: options.publishRetries,
+				timeout: options.publishTimeout,
+			},
+			(progress) => this.progress('publish', progress)
+		);
+	}
+
+	/**
+	 * Writes an MPD next to the root playlist that references the segments of
+	 * the HLS renditions, along with the storyboard as thumbnails
+	 * @param {FFmpeg} transcoder
+	 * @param {object} paths
+	 */
+	async writeDashManifest(transcoder, paths) {
+		const { options, logger } = this;
+		const { video: $VIDEO } = transcoder.specs.streams;
+		const readPlaylist = (name) =>
+			readMediaPlaylist(this.variantPlaylistPath(paths, name));
+		const audioAttributes = (stream) => ({
+			codecs: codecString.audio({
+				codec: options.audioCodec,
+				profile: options.audioProfile,
+			}),
+			audioSamplingRate: stream.sample_rate,
+		});
+
+		logger('event', `Creating ${options.dashManifestName}`);
+		const adaptationSets = [];
+
+		// Players can't switch codecs or dynamic ranges seamlessly, so each
+		// ladder gets its own set
+		const ladders = [
+			...new Set(
+				(transcoder.resolutions || []).map(
+					({ codec, dynamicRange }) => `${codec}:${dynamicRange}`
+				)
+			),
+		];
+		const videoSets = ladders.map(async (ladder) => {
+			const resolutions = transcoder.resolutions.filter(
+				({ codec, dynamicRange }) => `${codec}:${dynamicRange}` === ladder
+			);
+			const color = getColorProperties(resolutions[0].dynamicRange);
+
+			return {
+				contentType: 'video',
+				// Players that don't support HDR skip sets with essential properties
+				properties: color && [
+					{
+						schemeIdUri: 'urn:mpeg:mpegB:cicp:ColourPrimaries',
+						value: color.cicp.primaries,
+					},
+					{
+						schemeIdUri: 'urn:mpeg:mpegB:cicp:TransferCharacteristics',
+						value: color.cicp.transfer,
+					},
+					{
+						schemeIdUri: 'urn:mpeg:mpegB:cicp:MatrixCoefficients',
+						value: color.cicp.matrix,
+					},
+				],
+				representations: await Promise.all(
+					resolutions.map(async (resolution) => ({
+						id: resolution.name,
+						attributes: {
+							codecs: codecString.video({
+								...resolution,
+								bitDepth: getBitDepth(resolution.pixelFormat),
+							}),
+							width: resolution.width,
+							height: resolution.height,
+							frameRate: $VIDEO.r_frame_rate,
+						},
+						playlist: await readPlaylist(resolution.name),
+					}))
+				),
+			};
+		});
+		adaptationSets.push(...(await Promise.all(videoSets)));
+
+		if (transcoder.audioBitrates?.length > 0) {
+			const { stream } = transcoder.audioTracks.find((track) => track.default);
+			adaptationSets.push({
+				contentType: 'audio',
+				representations: await Promise.all(
+					transcoder.audioBitrates.map(async (rung) => ({
+						id: rung.name,
+						attributes: audioAttributes(stream),
+						playlist: await readPlaylist(rung.name),
+					}))
+				),
+			});
+		}
+
+		if (transcoder.meta.alternateAudio) {
+			adaptationSets.push(
+				...(await Promise.all(
+					transcoder.audioTracks.map(async (track) => ({
+						contentType: 'audio',
+						lang: track.language,
+						label: track.title,
+						role: track.default ? 'main' : 'alternate',
+						representations: [
+							{
+								id: track.name,
+								attributes: audioAttributes(track.stream),
+								playlist: await readPlaylist(track.name),
+							},
+						],
+					}))
+				))
+			);
+		}
+
+		const { mosaic, storyboard } = transcoder.meta;
+		const manifest = createManifest({
+			path: paths.dash,
+			duration: transcoder.duration,
+			interval: options.hlsInterval,
+			adaptationSets,
+			thumbnails: storyboard && {
+				paths: storyboard.images,
+				mimeType: `image/${options.imageFormat}`,
+				width: mosaic.width,
+				height: mosaic.height,
+				columns: mosaic.columns,
+				rows: mosaic.rows,
+				times: mosaic.times,
+			},
+		});
+
+		await fs.promises.writeFile(paths.dash, manifest + '\n');
+	}
+
+	/**
+	 * Writes `media.json` into the output directory, describing the source,
+	 * every variant with its measured bitrate and the URLs of the package
+	 * @param {FFmpeg} transcoder
+	 * @param {object} paths
+	 */
+	async writeMetadata(transcoder, paths) {
+		const { options, logger } = this;
+		const { video, audio } = transcoder.specs.streams;
+		const url = (file) => file && this.publicUrl(transcoder, paths, file);
+		const measure = async (name) => {
+			const playlistPath = this.variantPlaylistPath(paths, name);
+			const { bandwidth, averageBandwidth } =
+				await readMediaPlaylist(playlistPath);
+
+			return {
+				playlist: url(playlistPath),
+				peakBitrate: bandwidth,
+				averageBitrate: averageBandwidth,
+			};
+		};
+
+		logger('event', 'Creating media.json');
+
+		const metadata = {
+			slug: transcoder.meta.slug,
+			duration: transcoder.duration,
+			trim: transcoder.meta.trim,
+			source: {
+				file: path.basename(paths.source),
+				duration: transcoder.specs.format.duration,
+				width: transcoder.specs.displaySize?.width,
+				height: transcoder.specs.displaySize?.height,
+				fps: video ? transcoder.specs.fpsDecimal : undefined,
+				dynamicRange: video ? transcoder.meta.dynamicRange : undefined,
+				audioChannels: audio?.channels,
+				loudness: transcoder.audioTracks?.find((track) => track.default)
+					.loudness,
+			},
+			hls: options.hls
+				? {
+						manifest: url(paths.manifest),
+						variants: [
+							...(await Promise.all(
+								(transcoder.resolutions || []).map(async (resolution) => ({
+									...resolution,
+									...(await measure(resolution.name)),
+									iframePlaylist: transcoder.meta.iframePlaylists
+										? url(this.iframePlaylistPath(paths, resolution.name))
+										: undefined,
+								}))
+							)),
+							...(await Promise.all(
+								(transcoder.audioBitrates || []).map(async (rung) => ({
+									...rung,
+									...(await measure(rung.name)),
+								}))
+							)),
+						],
+						audio: transcoder.meta.alternateAudio
+							? await Promise.all(
+									transcoder.audioTracks.map(async ({ stream, ...track }) => ({
+										...track,
+										...(await measure(track.name)),
+									}))
+								)
+							: [],
+						subtitles: (transcoder.subtitleTracks || []).map(
+							({ map, file, ...track }) => ({
+								...track,
+								playlist: url(this.variantPlaylistPath(paths, track.name)),
+							})
+						),
+					}
+				: undefined,
+			dash: options.dash ? url(paths.dash) : undefined,
+			fallback: options.fallback ? url(paths.fallback) : undefined,
+			chapters:
+				transcoder.chapters?.length > 0 ? url(paths.chapters) : undefined,
+			poster: url(transcoder.meta.posterOutput),
+			posterSizes: transcoder.meta.posterSizes?.map((size) => ({
+				url: url(size.path),
+				width: size.width,
+				height: size.height,
+			})),
+			placeholder: transcoder.meta.placeholder,
+			teaser: transcoder.meta.teaser && {
+				mp4: url(transcoder.meta.teaser.mp4),
+				webp: url(transcoder.meta.teaser.webp),
+				width: transcoder.meta.teaser.width,
+				height: transcoder.meta.teaser.height,
+			},
+			storyboard: transcoder.meta.storyboard && {
+				images: transcoder.meta.storyboard.images.map(url),
+				vtt: url(transcoder.meta.storyboard.vtt),
+			},
+			mkhls: {
+				version: pkg.version,
+				options: Object.fromEntries(
+					metadataOptions.map((key) => [key, options[key]])
+				),
+			},
+		};
+
+		await fs.promises.writeFile(
+			paths.metadata,
+			JSON.stringify(metadata, null, '\t') + '\n'
+		);
+	}
+
+	/**
+	 * Describes what a run would do without writing anything
+	 * @param {FFmpeg} transcoder
+	 * @returns {PackagePlan}
+	 */
+	buildPlan(transcoder, paths) {
+		const { video, audio } = transcoder.specs.streams;
+
+		return {
+			source: paths.source,
+			slug: transcoder.meta.slug,
+			output: paths.output,
+			trim: transcoder.meta.trim,
+			media: {
+				duration: transcoder.specs.format.duration,
+				video: video && {
+					codec: video.codec_name,
+					width: transcoder.specs.displaySize.width,
+					height: transcoder.specs.displaySize.height,
+					rotation: transcoder.specs.displaySize.rotation,
+					fps: transcoder.specs.fpsDecimal,
+				},
+				audio: audio && {
+					codec: audio.codec_name,
+					channels: audio.channels,
+					sampleRate: audio.sample_rate,
+				},
+			},
+			renditions: [
+				...(transcoder.resolutions || []),
+				...(transcoder.audioBitrates || []),
+			],
+			audio: transcoder.meta.alternateAudio
+				? transcoder.audioTracks.map(({ stream, ...track }) => track)
+				: [],
+			subtitles: (transcoder.subtitleTracks || []).map(
+				({ map, file, ...track }) => track
+			),
+			chapters: transcoder.chapters || [],
+			timelinePreviews: transcoder.meta.mosaic,
+			teaser: transcoder.meta.teaser && {
+				width: transcoder.meta.teaser.width,
+				height: transcoder.meta.teaser.height,
+				excerpts: transcoder.meta.teaser.excerpts,
+			},
+			publish: this.options.publish
+				? packageUrl(
+						this.options.publish,
+						this.publicUrl(transcoder, paths, paths.output)
+					)
+				: undefined,
+			commands: [['ffmpeg', ...transcoder.args]],
+			outputs: this.listOutputs(transcoder, paths).map((output) => ({
+				...output,
+				exists: fs.existsSync(
+					output.path.replace(/%0?(\d*)d/, (match, width) =>
+						'0'.repeat(Number(width) || 1)
+					)
+				),
+			})),
+		};
+	}
+
+	/**
+	 * Lists the files a run writes, numbered files are listed once as a
+	 * pattern along with how many of them there are
+	 * @param {FFmpeg} transcoder
+	 * @returns {Array<{path: string, count?: number, conditional?: boolean}>}
+	 */
+	listOutputs(transcoder, paths) {
+		const { options } = this;
+		const imgExt = options.imageFormat === 'jpeg' ? 'jpg' : options.imageFormat;
+		const segmentCount = Math.max(
+			1,
+			Math.ceil(transcoder.duration / options.hlsInterval)
+		);
+		const outputs = [];
+
+		if (options.fallback) {
+			outputs.push({ path: paths.fallback });
+		}
+
+		if (options.hls) {
+			const segmentExtension = { mpegts: 'ts', fmp4: 'm4s' }[options.hlsType];
+			outputs.push({ path: paths.manifest });
+
+			transcoder.meta.variants.forEach((name, index, variants) => {
+				const playlistPath = this.variantPlaylistPath(paths, name);
+				outputs.push({ path: playlistPath });
+
+				// FFmpeg numbers initialization segments when there's more than one variant
+				if (options.hlsType === 'fmp4') {
+					outputs.push({
+						path: path.join(
+							path.dirname(playlistPath),
+							variants.length > 1 ? `init_${index}.mp4` : 'init.mp4'
+						),
+					});
+				}
+
+				outputs.push({
+					path: this.segmentPath(paths, name, '%04d', segmentExtension),
+					count: segmentCount,
+				});
+			});
+
+			if (transcoder.meta.iframes) {
+				outputs.push(
+					...transcoder.resolutions.map((resolution) => ({
+						path: this.iframePlaylistPath(paths, resolution.name),
+					}))
+				);
+			}
+
+			(transcoder.subtitleTracks || []).forEach((track) => {
+				outputs.push(
+					{ path: this.variantPlaylistPath(paths, track.name) },
+					{
+						path: this.segmentPath(paths, track.name, '%04d', 'vtt'),
+						count: segmentCount,
+					}
+				);
+			});
+
+			if (options.hlsEncryption) {
+				const rotation = Number(options.hlsKeyRotation) || 0;
+				const count = rotation > 0 ? Math.ceil(segmentCount / rotation) : 1;
+				outputs.push(
+					{ path: path.join(paths.keys, '%d.key'), count },
+					{ path: path.join(paths.keys, '%d.keyinfo'), count }
+				);
+			}
+
+			if (options.dash) {
+				outputs.push({ path: paths.dash });
+			}
+		}
+
+		if (transcoder.chapters?.length > 0) {
+			outputs.push({ path: paths.chapters });
+		}
+
+		if (transcoder.meta.poster || transcoder.meta.posterFrame) {
+			outputs.push(
+				...this.plannedPosterWidths(transcoder).map(
+					({ width, conditional }) => ({
+						path: path.join(paths.output, `poster_${width}.${imgExt}`),
+						conditional,
+					})
+				),
+				{ path: path.join(paths.output, `poster.${imgExt}`) }
+			);
+		}
+
+		if (transcoder.meta.teaser) {
+			outputs.push(
+				...[transcoder.meta.teaser.mp4, transcoder.meta.teaser.webp]
+					.filter(Boolean)
+					.map((file) => ({ path: file }))
+			);
+		}
+
+		if (transcoder.meta.mosaic) {
+			outputs.push(
+				...Array.from(
+					{ length: transcoder.meta.mosaic.sheets },
+					(_, index) => ({
+						path: this.storyboardPath(paths, index + 1),
+					})
+				),
+				{ path: path.join(paths.output, 'seek', 'thumbnails.vtt') }
+			);
+		}
+
+		outputs.push({ path: paths.metadata });
+
+		return outputs;
+	}
+
+	/**
+	 * Describes the files written for the input
+	 * @param {FFmpeg} transcoder
+	 * @returns {Promise<PackageResult>}
+	 */
+	async buildResult(transcoder, paths) {
+		const { options } = this;
+
+		return {
+			source: paths.source,
+			slug: transcoder.meta.slug,
+			output: paths.output,
+			manifest: options.hls ? paths.manifest : undefined,
+			dash: options.dash ? paths.dash : undefined,
+			fallback: options.fallback ? paths.fallback : undefined,
+			metadata: paths.metadata,
+			renditions: options.hls
+				? [
+						...(transcoder.resolutions || []).map((resolution) => ({
+							...resolution,
+							playlist: this.variantPlaylistPath(paths, resolution.name),
+							iframePlaylist: transcoder.meta.iframePlaylists
+								? this.iframePlaylistPath(paths, resolution.name)
+								: undefined,
+						})),
+						...(transcoder.audioBitrates || []).map((rung) => ({
+							...rung,
+							playlist: this.variantPlaylistPath(paths, rung.name),
+						})),
+					]
+				: [],
+			audio:
+				options.hls && transcoder.meta.alternateAudio
+					? transcoder.audioTracks.map(({ stream, ...track }) => ({
+							...track,
+							playlist: this.variantPlaylistPath(paths, track.name),
+						}))
+					: [],
+			subtitles: (transcoder.subtitleTracks || []).map(
+				({ map, file, ...track }) => ({
+					...track,
+					playlist: this.variantPlaylistPath(paths, track.name),
+				})
+			),
+			chapters: transcoder.chapters?.length > 0 ? paths.chapters : undefined,
+			keys: transcoder.meta.keys,
+			poster: transcoder.meta.posterOutput,
+			posterSizes: transcoder.meta.posterSizes,
+			placeholder: transcoder.meta.placeholder,
+			teaser: transcoder.meta.teaser && {
+				mp4: transcoder.meta.teaser.mp4,
+				webp: transcoder.meta.teaser.webp,
+			},
+			storyboard: transcoder.meta.storyboard,
+			published: transcoder.meta.published,
+			files: [
+				...(await listFiles(paths.output)),
+				...(transcoder.meta.keys ? await listFiles(paths.keys) : []),
+			],
+		};
+	}
+}
+
+/**
+ * Packages a single input into an HLS stream, progressive fallback, poster
+ * and timeline previews
+ * @param {object} options Packaging options, see {@link defaults}
+ * @param {string} options.input Path of the file to package
+ * @param {string} [options.output] Directory to write the package to
+ * @param {(event: object) => void} [options.onProgress] Called with every
+ * progress event emitted while packaging
+ * @returns {Promise<PackageResult>}
+ */
+async function packageMedia({ onProgress, ...options } = {}) {
+	const packager = new Packager(options);
+
+	if (onProgress) packager.on('progress', onProgress);
+
+	return packager.run();
+}
+
+export { Packager, packageMedia };
+export default packageMedia;
@@ -0,0 +1,10 @@
+import fs from 'node:fs';
+
+/**
+ * Contents of mkhls' own `package.json`
+ */
+const pkg = JSON.parse(
+	fs.readFileSync(new URL('../package.json', import.meta.url))
+);
+
+export default pkg;
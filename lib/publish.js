@@ -0,0 +1,379 @@
+/**
+ * Uploads packages to S3-compatible object storage. Requests are signed with
+ * AWS Signature Version 4, so AWS S3, MinIO, R2 and other compatible stores
+ * work alike. Credentials are read from the environment and never passed as
+ * options, which end up in `media.json`.
+ */
+
+// Internals
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import process from 'node:process';
+import { Readable } from 'node:stream';
+
+// Content types of every kind of file mkhls writes
+const contentTypes = {
+	'.m3u8': 'application/vnd.apple.mpegurl',
+	'.mpd': 'application/dash+xml',
+	'.ts': 'video/mp2t',
+	'.m4s': 'video/iso.segment',
+	'.mp4': 'video/mp4',
+	'.mp3': 'audio/mpeg',
+	'.vtt': 'text/vtt',
+	'.webp': 'image/webp',
+	'.jpg': 'image/jpeg',
+	'.avif': 'image/avif',
+	'.json': 'application/json',
+};
+
+// Playlists, manifests and other files that are overwritten in place are
+// cached briefly so republished packages are picked up, segments for good
+const cacheControl = {
+	short: 'public, max-age=60',
+	long: 'public, max-age=31536000, immutable',
+};
+
+/**
+ * @typedef {object} PublishTarget
+ * @property {string} bucket
+ * @property {string} prefix Key prefix without leading or trailing slashes
+ *
+ * @typedef {object} PublishOptions
+ * @property {string} target Target as `s3://bucket/prefix`
+ * @property {string} [endpoint] URL of the storage service, defaults to
+ * `AWS_ENDPOINT_URL` and then to AWS S3 in the region
+ * @property {string} [region] Defaults to `AWS_REGION`, `AWS_DEFAULT_REGION`
+ * and then to `us-east-1`
+ * @property {number} [concurrency] Number of files to upload at once
+ * @property {number} [retries] Number of times to retry a failed upload
+ * @property {number} [timeout] Seconds an upload may take before it's aborted
+ * and retried
+ */
+
+/**
+ * Parses a publish target
+ * @param {string} target Target as `s3://bucket/prefix`, the prefix is optional
+ * @returns {PublishTarget}
+ */
+function parseTarget(target) {
+	const match = String(target).match(/^s3:\/\/([^/]+)\/?(.*)$/);
+
+	if (!match) {
+		throw new Error(
+			`Invalid --publish target '${target}', use s3://bucket/prefix`
+		);
+	}
+
+	return { bucket: match[1], prefix: match[2].replace(/^\/+|\/+$/g, '') };
+}
+
+/**
+ * Reads credentials from the environment
+ * @returns {{accessKeyId: string, secretAccessKey: string, sessionToken: (string|undefined)}}
+ */
+function readCredentials() {
+	const {
+		AWS_ACCESS_KEY_ID: accessKeyId,
+		AWS_SECRET_ACCESS_KEY: secretAccessKey,
+		AWS_SESSION_TOKEN: sessionToken,
+	} = process.env;
+
+	if (!accessKeyId || !secretAccessKey) {
+		throw new Error(
+			'--publish requires AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY to be set'
+		);
+	}
+
+	return { accessKeyId, secretAccessKey, sessionToken };
+}
+
+/**
+ * Works out where a package is published to
+ * @param {string} target Target as `s3://bucket/prefix`
+ * @param {string} urlPath Path the package is served from
+ * @returns {string} URL of the package as `s3://bucket/key`
+ */
+function packageUrl(target, urlPath) {
+	const { bucket, prefix } = parseTarget(target);
+
+	return `s3://${[bucket, prefix, ...urlPath.split('/')].filter(Boolean).join('/')}`;
+}
+
+/**
+ * Encodes an object key for a URL path as per Signature Version 4, keeping
+ * slashes between segments
+ * @param {string} key
+ * @returns {string}
+ */
+function encodeKey(key) {
+	return key
+		.split('/')
+		.map((segment) =>
+			encodeURIComponent(segment).replace(
+				/[!'()*]/g,
+				(char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+			)
+		)
+		.join('/');
+}
+
+/**
+ * @param {(string|Buffer)} key
+ * @param {string} data
+ * @returns {Buffer}
+ */
+function hmac(key, data) {
+	return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+/**
+ * Signs a request with AWS Signature Version 4. The payload isn't hashed, so
+ * files can be streamed
+ * @param {object} request
+ * @param {string} request.method
+ * @param {URL} request.url
+ * @param {Object<string, string>} request.headers Headers to sign along with
+ * the host and date
+ * @param {{accessKeyId: string, secretAccessKey: string, sessionToken: (string|undefined)}} credentials
+ * @param {string} region
+ * @param {Date} [date]
+ * @returns {Object<string, string>} Every header to send, including
+ * `Authorization`
+ */
+function signRequest(
+	{ method, url, headers },
+	credentials,
+	region,
+	date = new Date()
+) {
+	const timestamp = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+	const day = timestamp.slice(0, 8);
+	const scope = `${day}/${region}/s3/aws4_request`;
+
+	const signed = Object.fromEntries(
+		Object.entries({
+			...headers,
+			host: url.host,
+			'x-amz-content-sha256': 'UNSIGNED-PAYLOAD',
+			'x-amz-date': timestamp,
+			'x-amz-security-token': credentials.sessionToken,
+		})
+			.filter(([, value]) => value !== undefined)
+			.map(([name, value]) => [name.toLowerCase(), String(value).trim()])
+			.sort(([a], [b]) => (a < b ? -1 : 1))
+	);
+	const signedHeaders = Object.keys(signed).join(';');
+
+	const canonicalRequest = [
+		method,
+		url.pathname,
+		url.searchParams.toString(),
+		...Object.entries(signed).map(([name, value]) => `${name}:${value}`),
+		'',
+		signedHeaders,
+		'UNSIGNED-PAYLOAD',
+	].join('\n');
+
+	const stringToSign = [
+		'AWS4-HMAC-SHA256',
+		timestamp,
+		scope,
+		crypto.createHash('sha256').update(canonicalRequest).digest('hex'),
+	].join('\n');
+
+	const signingKey = ['s3', 'aws4_request'].reduce(
+		hmac,
+		hmac(hmac(`AWS4${credentials.secretAccessKey}`, day), region)
+	);
+	const signature = hmac(signingKey, stringToSign).toString('hex');
+
+	return {
+		...signed,
+		authorization: `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+	};
+}
+
+/**
+ * Runs a task for every item, with at most `concurrency` tasks at once
+ * @template T
+ * @param {T[]} items
+ * @param {number} concurrency
+ * @param {(item: T) => Promise<void>} task
+ */
+async function runConcurrently(items, concurrency, task) {
+	let next = 0;
+
+	// Each worker picks up the next item once it's done with the last one,
+	// which is what caps the number of tasks at once
+	const work = async () => {
+		while (next < items.length) {
+			// eslint-disable-next-line no-await-in-loop
+			await task(items[next++]);
+		}
+	};
+
+	await Promise.all(
+		Array.from({ length: Math.min(concurrency, items.length) }, () => work())
+	);
+}
+
+/**
+ * Publishes the files of a package. Segments, images and other media go
+ * first, then media playlists, and the entry points last, so players never
+ * load a playlist that references files that aren't uploaded yet
+ * @param {object} pkg
+ * @param {string} pkg.dir Output directory of the package
+ * @param {{path: string, size: number}[]} pkg.files Every file to upload
+ * @param {string[]} pkg.entryPoints Files to upload once everything else is,
+ * e.g. the root playlist
+ * @param {string[]} [pkg.mutable] Files that keep their name when a package is
+ * republished but not their contents, e.g. the poster. They're cached as
+ * briefly as playlists
+ * @param {string} pkg.urlPath Path the package is served from, which is
+ * appended to the prefix of the target so URLs in the package stay valid
+ * @param {PublishOptions} options
+ * @param {(progress: {file: string, key: string, uploaded: number, total: number}) => void} [onUpload]
+ * Called after every uploaded file
+ * @returns {Promise<string>} URL of the package as `s3://bucket/key`
+ */
+async function publishPackage(
+	{ dir, files, entryPoints, mutable = [], urlPath },
+	options,
+	onUpload
+) {
+	const { bucket } = parseTarget(options.target);
+	const credentials = readCredentials();
+
+	const region =
+		options.region ||
+		process.env.AWS_REGION ||
+		process.env.AWS_DEFAULT_REGION ||
+		'us-east-1';
+
+	// Custom endpoints are addressed by path, AWS by virtual host
+	const endpoint = options.endpoint || process.env.AWS_ENDPOINT_URL;
+	const objectUrl = (key) =>
+		endpoint
+			? new URL(
+					`${new URL(endpoint).pathname.replace(/\/$/, '')}/${bucket}/${encodeKey(key)}`,
+					endpoint
+				)
+			: new URL(
+					`https://${bucket}.s3.${region}.amazonaws.com/${encodeKey(key)}`
+				);
+
+	const packageKey = packageUrl(options.target, urlPath).slice(
+		`s3://${bucket}/`.length
+	);
+	const keyOf = (file) =>
+		[packageKey, ...path.relative(dir, file).split(path.sep)].join('/');
+
+	const retries = Number(options.retries ?? 3);
+	const timeout = Number(options.timeout ?? 300);
+
+	/**
+	 * Makes a single attempt at uploading a file
+	 * @returns {Promise<({error: Error, retryable: boolean}|undefined)>}
+	 * Undefined once the file is uploaded
+	 */
+	const put = async (file, key, headers) => {
+		try {
+			const url = objectUrl(key);
+			const response = await fetch(url, {
+				method: 'PUT',
+				headers: signRequest(
+					{ method: 'PUT', url, headers },
+					credentials,
+					region
+				),
+				body: Readable.toWeb(fs.createReadStream(file.path)),
+				duplex: 'half',
+				signal: AbortSignal.timeout(timeout * 1000),
+			});
+
+			if (response.ok) return undefined;
+
+			const body = await response.text();
+
+			// Client errors like bad credentials won't go away on their own
+			return {
+				error: new Error(
+					`${response.status} ${body.match(/<Message>(.*?)<\/Message>/)?.[1] || response.statusText}`
+				),
+				retryable: response.status >= 500 || response.status === 429,
+			};
+		} catch (error) {
+			// Stalled uploads are aborted and retried like network failures
+			return {
+				error:
+					error.name === 'TimeoutError'
+						? new Error(`timed out after ${timeout}s`)
+						: error.cause || error,
+				retryable: true,
+			};
+		}
+	};
+
+	const upload = async (file) => {
+		const key = keyOf(file.path);
+		const extension = path.extname(file.path);
+		const headers = {
+			'content-length': file.size,
+			'content-type': contentTypes[extension] || 'application/octet-stream',
+			'cache-control':
+				['.m3u8', '.mpd', '.json'].includes(extension) ||
+				mutable.includes(file.path)
+					? cacheControl.short
+					: cacheControl.long,
+		};
+
+		// Each retry waits for the attempt before it to fail, backing off
+		// exponentially
+		for (let attempt = 0; ; attempt++) {
+			// eslint-disable-next-line no-await-in-loop
+			const failure = await put(file, key, headers);
+			if (!failure) return key;
+
+			if (!failure.retryable || attempt >= retries) {
+				throw new Error(
+					`Uploading ${key} to ${bucket} failed: ${failure.error.message}`
+				);
+			}
+
+			// eslint-disable-next-line no-await-in-loop
+			await new Promise((resolve) => {
+				setTimeout(resolve, 2 ** attempt * 500);
+			});
+		}
+	};
+
+	const phase = (file) => {
+		if (entryPoints.includes(file.path)) return 2;
+		return ['.m3u8', '.mpd'].includes(path.extname(file.path)) ? 1 : 0;
+	};
+
+	let uploaded = 0;
+	for (const current of [0, 1, 2]) {
+		// Phases run one after another, each must be uploaded before the files
+		// that reference it
+		// eslint-disable-next-line no-await-in-loop
+		await runConcurrently(
+			files.filter((file) => phase(file) === current),
+			Number(options.concurrency) || 1,
+			async (file) => {
+				const key = await upload(file);
+				onUpload?.({
+					file: file.path,
+					key,
+					uploaded: ++uploaded,
+					total: files.length,
+				});
+			}
+		);
+	}
+
+	return packageUrl(options.target, urlPath);
+}
+
+export { parseTarget, readCredentials, packageUrl, publishPackage };
@@ -0,0 +1,401 @@
+/**
+ * Checks a package written by mkhls for missing or broken files, so broken
+ * uploads can be caught before viewers run into them.
+ */
+
+// Internals
+import fs from 'node:fs';
+import path from 'node:path';
+
+// Locals
+import hlsPlaylist from '../utils/hlsPlaylist.js';
+import webvtt from '../utils/webvtt.js';
+import listFiles from '../utils/listFiles.js';
+
+// Externals
+import sharp from 'sharp';
+
+/**
+ * @typedef {object} VerifyReport
+ * @property {string} dir Absolute path of the checked package
+ * @property {{file: string, message: string}[]} problems Everything that's
+ * wrong with the package, empty when it's intact. `file` is relative to `dir`
+ * and empty for problems with the whole package
+ * @property {number} playlists Number of playlists checked
+ * @property {number} segments Number of segments checked
+ * @property {number} cues Number of timeline preview cues checked
+ */
+
+/**
+ * Gets the size of a file
+ * @param {string} file
+ * @returns {Promise<(number|undefined)>} Size in bytes, undefined if the file
+ * doesn't exist
+ */
+async function fileSize(file) {
+	try {
+		const stats = await fs.promises.stat(file);
+		return stats.isFile() ? stats.size : undefined;
+	} catch {
+		return undefined;
+	}
+}
+
+/**
+ * Collects the problems of a single package
+ */
+class Verifier {
+	/**
+	 * @param {string} dir Output directory of a single input
+	 */
+	constructor(dir) {
+		this.dir = path.resolve(dir);
+		this.report = {
+			dir: this.dir,
+			problems: [],
+			playlists: 0,
+			segments: 0,
+			cues: 0,
+		};
+	}
+
+	/**
+	 * Records a problem with a file
+	 * @param {string} file Path of the file, the package directory itself for
+	 * problems with the whole package
+	 * @param {string} message
+	 */
+	fail(file, message) {
+		this.report.problems.push({ file: path.relative(this.dir, file), message });
+	}
+
+	/**
+	 * Records a problem if a file is missing or empty
+	 * @param {string} file
+	 * @returns {Promise<boolean>} Whether the file exists and isn't empty
+	 */
+	async expectFile(file) {
+		const size = await fileSize(file);
+
+		if (size === undefined) this.fail(file, 'is missing');
+		else if (size === 0) this.fail(file, 'is empty');
+
+		return Boolean(size);
+	}
+
+	/**
+	 * Reads a text file, recording a problem if it can't be read
+	 * @param {string} file
+	 * @returns {Promise<(string|undefined)>}
+	 */
+	async readText(file) {
+		try {
+			return await fs.promises.readFile(file, 'utf8');
+		} catch (error) {
+			this.fail(file, `can't be read, ${error.message}`);
+			return undefined;
+		}
+	}
+
+	/**
+	 * Reads the dimensions of a storyboard image, recording a problem if it's
+	 * missing or can't be decoded
+	 * @param {string} imagePath
+	 * @returns {Promise<(object|undefined)>} Image metadata from sharp
+	 */
+	async readStoryboard(imagePath) {
+		if (!(await this.expectFile(imagePath))) return undefined;
+
+		try {
+			return await sharp(imagePath).metadata();
+		} catch (error) {
+			this.fail(imagePath, `can't be decoded, ${error.message}`);
+			return undefined;
+		}
+	}
+
+	/**
+	 * @returns {Promise<VerifyReport>}
+	 */
+	async run() {
+		if (!fs.existsSync(this.dir)) {
+			this.fail(this.dir, "The directory doesn't exist");
+			return this.report;
+		}
+
+		let files;
+		try {
+			files = (await listFiles(this.dir)).map((file) => file.path);
+		} catch (error) {
+			this.fail(this.dir, `The directory can't be read, ${error.message}`);
+			return this.report;
+		}
+
+		const metadata = await this.readMetadata(files);
+
+		const playlists = files.filter((file) => file.endsWith('.m3u8'));
+		const texts = await Promise.all(
+			playlists.map((file) => this.readText(file))
+		);
+		const rootPlaylists = playlists.filter((file, index) =>
+			texts[index]?.includes('#EXT-X-STREAM-INF')
+		);
+
+		if (rootPlaylists.length === 0 && metadata?.hls !== undefined) {
+			this.fail(this.dir, 'No root playlist was found');
+		}
+
+		await Promise.all(
+			rootPlaylists.map((file) => this.checkRootPlaylist(file))
+		);
+
+		// Without a media.json a poster is expected, even though audio without
+		// cover art doesn't get one
+		const poster = files.find((file) =>
+			/^poster\.(webp|jpg|avif)$/.test(path.relative(this.dir, file))
+		);
+		if (poster) {
+			await this.expectFile(poster);
+		} else if (!metadata || metadata.poster !== undefined) {
+			this.fail(path.join(this.dir, 'poster.*'), 'is missing');
+		}
+
+		// Poster sizes and teasers are written next to the poster, their URLs
+		// carry the prefix
+		const urls = [
+			...(metadata?.posterSizes || []).map((size) => size.url),
+			metadata?.teaser?.mp4,
+			metadata?.teaser?.webp,
+		].filter(Boolean);
+		await Promise.all(
+			urls.map((url) =>
+				this.expectFile(path.join(this.dir, path.posix.basename(url)))
+			)
+		);
+
+		const vttPath = path.join(this.dir, 'seek', 'thumbnails.vtt');
+		if (files.includes(vttPath)) {
+			await this.checkThumbnails(vttPath);
+		} else if (metadata?.storyboard) {
+			this.fail(vttPath, 'is missing');
+		}
+
+		// Checks run side by side, sorting keeps the report in the same order
+		// between runs. The sort is stable, problems of a file keep their order
+		this.report.problems.sort((a, b) => a.file.localeCompare(b.file));
+
+		return this.report;
+	}
+
+	/**
+	 * Reads `media.json`, which tells which files a package should have
+	 * @param {string[]} files Every file of the package
+	 * @returns {Promise<(object|undefined)>}
+	 */
+	async readMetadata(files) {
+		const metadataPath = path.join(this.dir, 'media.json');
+		if (!files.includes(metadataPath)) return undefined;
+
+		try {
+			return JSON.parse(await fs.promises.readFile(metadataPath, 'utf8'));
+		} catch (error) {
+			this.fail(metadataPath, `can't be parsed, ${error.message}`);
+			return undefined;
+		}
+	}
+
+	/**
+	 * Checks every variant and rendition referenced by a root playlist
+	 * @param {string} playlistPath
+	 */
+	async checkRootPlaylist(playlistPath) {
+		this.report.playlists++;
+
+		const text = await this.readText(playlistPath);
+		if (text === undefined) return;
+
+		const dir = path.dirname(playlistPath);
+		const entries = hlsPlaylist.parse(text);
+		const uris = new Set([
+			...entries
+				.filter((entry) => entry.tag === 'EXT-X-STREAM-INF')
+				.map((entry) => entry.uri),
+			...entries
+				.filter(
+					(entry) =>
+						(entry.tag === 'EXT-X-MEDIA' ||
+							entry.tag === 'EXT-X-I-FRAME-STREAM-INF') &&
+						entry.attributes.URI
+				)
+				.map((entry) => entry.attributes.URI),
+		]);
+
+		if (uris.size === 0) {
+			this.fail(playlistPath, "doesn't reference any variants");
+		}
+
+		await Promise.all(
+			[...uris].map((uri) => this.checkMediaPlaylist(path.resolve(dir, uri)))
+		);
+	}
+
+	/**
+	 * Checks that the segments of a media playlist exist, aren't empty, don't
+	 * run longer than `EXT-X-TARGETDURATION` and hold their byte ranges
+	 * @param {string} playlistPath
+	 */
+	async checkMediaPlaylist(playlistPath) {
+		if (!(await this.expectFile(playlistPath))) return;
+		this.report.playlists++;
+
+		const text = await this.readText(playlistPath);
+		if (text === undefined) return;
+
+		const dir = path.dirname(playlistPath);
+		const entries = hlsPlaylist.parse(text);
+		const targetDuration = entries
+			.find((entry) => entry.line?.startsWith('#EXT-X-TARGETDURATION:'))
+			?.line.slice('#EXT-X-TARGETDURATION:'.length);
+
+		if (targetDuration === undefined) {
+			this.fail(playlistPath, 'has no EXT-X-TARGETDURATION');
+		}
+
+		if (!entries.some((entry) => entry.line === '#EXT-X-ENDLIST')) {
+			this.fail(playlistPath, 'has no EXT-X-ENDLIST, it might be incomplete');
+		}
+
+		const maps = [];
+		const segments = [];
+		let duration;
+		let byteRange;
+		entries.forEach((entry) => {
+			if (entry.tag === 'EXT-X-MAP') {
+				maps.push(path.resolve(dir, entry.attributes.URI));
+			} else if (entry.line?.startsWith('#EXTINF:')) {
+				duration = Number.parseFloat(entry.line.slice('#EXTINF:'.length));
+			} else if (entry.line?.startsWith('#EXT-X-BYTERANGE:')) {
+				byteRange = entry.line.slice('#EXT-X-BYTERANGE:'.length);
+			} else if (entry.line !== undefined && !entry.line.startsWith('#')) {
+				segments.push({ path: path.resolve(dir, entry.line), byteRange });
+				byteRange = undefined;
+
+				// Durations rounded to the nearest integer can't exceed the target
+				if (Math.round(duration) > Number(targetDuration)) {
+					this.fail(
+						path.resolve(dir, entry.line),
+						`lasts ${duration}s, longer than the target duration of ${targetDuration}s`
+					);
+				}
+			}
+		});
+
+		await Promise.all(maps.map((file) => this.expectFile(file)));
+		await Promise.all(
+			segments.map(async (segment) => {
+				// Every byte range mkhls writes has an offset
+				if ((await this.expectFile(segment.path)) && segment.byteRange) {
+					const [length, offset = 0] = segment.byteRange.split('@').map(Number);
+					const size = await fileSize(segment.path);
+
+					if (offset + length > size) {
+						this.fail(
+							segment.path,
+							`is ${size} bytes, shorter than the byte range ${segment.byteRange}`
+						);
+					}
+				}
+			})
+		);
+
+		if (segments.length === 0) {
+			this.fail(playlistPath, "doesn't list any segments");
+		}
+
+		this.report.segments += segments.length;
+	}
+
+	/**
+	 * Checks that timeline preview cues follow each other without gaps and
+	 * that their tiles lie within the storyboard
+	 * @param {string} vttPath
+	 */
+	async checkThumbnails(vttPath) {
+		const text = await this.readText(vttPath);
+		if (text === undefined) return;
+
+		const cues = webvtt.parse(text);
+		const matches = cues.map((cue) =>
+			cue.text
+				.split('\n')
+				.at(-1)
+				.match(/^(.*)#xywh=(\d+),(\d+),(\d+),(\d+)$/)
+		);
+
+		// URLs carry the output prefix, storyboards live next to the VTT file
+		const imagePaths = matches.map(
+			(match) =>
+				match && path.join(path.dirname(vttPath), path.posix.basename(match[1]))
+		);
+		const uniquePaths = [...new Set(imagePaths.filter(Boolean))];
+		const storyboards = new Map(
+			await Promise.all(
+				uniquePaths.map(async (imagePath) => [
+					imagePath,
+					await this.readStoryboard(imagePath),
+				])
+			)
+		);
+		let end = 0;
+
+		if (cues.length === 0) this.fail(vttPath, "doesn't have any cues");
+
+		cues.forEach((cue, index) => {
+			const cueName = `cue ${index + 1} (${cue.text.split('\n')[0]})`;
+			const match = matches[index];
+			const imagePath = imagePaths[index];
+
+			if (Math.abs(cue.start - end) > 0.001) {
+				this.fail(
+					vttPath,
+					`${cueName} starts at ${cue.start}s, the previous cue ends at ${end}s`
+				);
+			}
+
+			end = cue.end;
+
+			if (!match) {
+				this.fail(vttPath, `${cueName} has no #xywh fragment`);
+				return;
+			}
+
+			const [x, y, w, h] = match.slice(2).map(Number);
+			const storyboard = storyboards.get(imagePath);
+			if (
+				storyboard &&
+				(x + w > storyboard.width || y + h > storyboard.height)
+			) {
+				this.fail(
+					vttPath,
+					`${cueName} points outside of ${path.basename(imagePath)} (${storyboard.width}x${storyboard.height})`
+				);
+			}
+		});
+
+		this.report.cues += cues.length;
+	}
+}
+
+/**
+ * Checks a package written by mkhls: every playlist, segment and
+ * initialization segment referenced from the root playlists, segment
+ * durations, timeline preview cues and the poster
+ * @param {string} dir Output directory of a single input
+ * @returns {Promise<VerifyReport>}
+ */
+async function verifyPackage(dir) {
+	return new Verifier(dir).run();
+}
+
+export { verifyPackage };
+export default verifyPackage;
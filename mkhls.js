@@ -0,0 +1,19 @@
+/**
+ * Programmatic entrypoint for mkhls
+ *
+ * @example
+ * ```
+ * import { package as mkhls } from 'mkhls';
+ *
+ * const result = await mkhls({
+ *   input: 'video.mp4',
+ *   output: 'dist/media',
+ *   onProgress: (event) => console.log(event.phase),
+ * });
+ * ```
+ */
+import { Packager, packageMedia } from './lib/packager.js';
+import verifyPackage from './lib/verify.js';
+import defaults from './lib/defaults.js';
+
+export { packageMedia as package, verifyPackage as verify, Packager, defaults };
@@ -0,0 +1,94 @@
+import convertTime from './convertTime.js';
+
+/**
+ * @typedef {object} Chapter
+ * @property {number} start Start time in seconds
+ * @property {number} end End time in seconds
+ * @property {string} title
+ */
+
+/**
+ * Converts a chapter timestamp (`[hh:]mm:ss[.ttt]`) into seconds
+ * @param {string} timestamp
+ * @returns {number}
+ */
+function parseTimestamp(timestamp) {
+	return timestamp
+		.split(':')
+		.reduce((total, current) => total * 60 + Number(current), 0);
+}
+
+const chapters = {
+	/**
+	 * Parses a chapter list with one `<timestamp> <title>` line per chapter,
+	 * e.g. `00:00 Intro` or `1:02:03.500 - Questions`. Each chapter ends where
+	 * the next one starts, the last one at the end of the media.
+	 * @param {string} text Contents of a chapter list
+	 * @param {number} duration Duration of the media in seconds
+	 * @returns {Chapter[]}
+	 */
+	parse(text, duration) {
+		const starts = text
+			.replace(/^\uFEFF/, '')
+			.split(/\r?\n/)
+			.map((line, index) => ({ line: line.trim(), number: index + 1 }))
+			.filter(({ line }) => line !== '' && !line.startsWith('#'))
+			.map(({ line, number }) => {
+				const match = line.match(
+					/^((?:\d+:)?\d{1,2}:\d{2}(?:\.\d+)?)\s+(?:[-–]\s+)?(.+)$/
+				);
+
+				if (!match) {
+					throw new Error(
+						`Line ${number} should be a timestamp followed by a title, got '${line}'`
+					);
+				}
+
+				return { start: parseTimestamp(match[1]), title: match[2] };
+			})
+			.filter(({ start }) => start < duration)
+			.sort((a, b) => a.start - b.start);
+
+		return starts.map((chapter, index) => ({
+			...chapter,
+			end: starts[index + 1]?.start ?? duration,
+		}));
+	},
+
+	/**
+	 * Limits chapters to part of the media and makes their times relative to
+	 * its start, dropping chapters outside of it
+	 * @param {Chapter[]} list
+	 * @param {number} start Start of the part in seconds
+	 * @param {number} end End of the part in seconds
+	 * @returns {Chapter[]}
+	 */
+	trim(list, start, end) {
+		return list
+			.filter((chapter) => chapter.end > start && chapter.start < end)
+			.map((chapter) => ({
+				...chapter,
+				start: Math.max(chapter.start, start) - start,
+				end: Math.min(chapter.end, end) - start,
+			}));
+	},
+
+	/**
+	 * Formats chapters as a WebVTT chapters track
+	 * @param {Chapter[]} list
+	 * @returns {string}
+	 */
+	toWebVTT(list) {
+		return (
+			[
+				'WEBVTT',
+				...list.map(
+					(chapter) =>
+						`${convertTime.toTimestamp(chapter.start)} --> ${convertTime.toTimestamp(chapter.end)}\n${chapter.title}`
+				),
+			].join('\n\n') + '\n'
+		);
+	},
+};
+
+export default chapters;
@@ -0,0 +1,65 @@
+import convertTime from './convertTime.js';
+
+/**
+ * @typedef {object} Clip
+ * @property {number} start Start time in seconds
+ * @property {number} end End time in seconds
+ * @property {string} slug Slug to name the package of the clip with
+ */
+
+const clips = {
+	/**
+	 * Parses a clip list with one `<start> <end> <slug>` line per clip, e.g.
+	 * `00:01:30 00:02:45 opening-remarks`. Values can also be separated by
+	 * commas, and times are timestamps or seconds.
+	 * @param {string} text Contents of a clip list
+	 * @returns {Clip[]}
+	 */
+	parse(text) {
+		const slugs = new Set();
+
+		return text
+			.replace(/^\uFEFF/, '')
+			.split(/\r?\n/)
+			.map((line, index) => ({ line: line.trim(), number: index + 1 }))
+			.filter(({ line }) => line !== '' && !line.startsWith('#'))
+			.map(({ line, number }) => {
+				const [start, end, slug, ...rest] = line.split(/\s*,\s*|\s+/);
+				const clip = {
+					start: convertTime.toSeconds(start),
+					end: convertTime.toSeconds(end ?? ''),
+					slug,
+				};
+
+				if (
+					Number.isNaN(clip.start) ||
+					Number.isNaN(clip.end) ||
+					!slug ||
+					rest.length > 0
+				) {
+					throw new Error(
+						`Line ${number} should be a start time, end time and slug, got '${line}'`
+					);
+				}
+
+				if (!/^[a-z\d-]+$/i.test(slug)) {
+					throw new Error(
+						`Line ${number}: slug '${slug}' can only contain letters, digits and dashes`
+					);
+				}
+
+				if (slugs.has(slug)) {
+					throw new Error(`Line ${number}: slug '${slug}' is already used`);
+				}
+
+				if (clip.end <= clip.start) {
+					throw new Error(`Line ${number}: clip ends before it starts`);
+				}
+
+				slugs.add(slug);
+				return clip;
+			});
+	},
+};
+
+export default clips;
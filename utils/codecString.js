@@ -0,0 +1,92 @@
+// Profile indication and constraint flags of H.264 profiles
+const avcProfiles = {
+	baseline: '42E0',
+	main: '4D40',
+	high: '6400',
+	high10: '6E00',
+	high422: '7A00',
+	high444: 'F400',
+};
+
+// General profile space/idc and compatibility flags of HEVC profiles
+const hevcProfiles = {
+	main: '1.6',
+	main10: '2.4',
+};
+
+// Object type indications of AAC profiles
+const aacProfiles = {
+	aac_low: 'mp4a.40.2',
+	mpeg2_aac_low: 'mp4a.67',
+	aac_ltp: 'mp4a.40.4',
+	aac_main: 'mp4a.40.1',
+};
+
+const codecString = {
+	/**
+	 * Builds the RFC 6381 codec string of an encoded video rendition, as used
+	 * in HLS `CODECS` and DASH `codecs` attributes
+	 * @param {object} rendition
+	 * @param {string} rendition.codec ffmpeg encoder, e.g. `libx264`
+	 * @param {string} rendition.profile Profile passed to the encoder, e.g. `high`
+	 * @param {(string|number)} rendition.level Level passed to the encoder, e.g. `4.2`
+	 * @param {number} [rendition.bitDepth]
+	 * @returns {string} A codec string, e.g. `avc1.64002A`
+	 */
+	video({ codec, profile, level, bitDepth = 8 }) {
+		const depth = String(bitDepth).padStart(2, '0');
+
+		switch (codec) {
+			case 'libx265': {
+				const levelIdc = Math.round(Number(level) * 30);
+				return `hvc1.${hevcProfiles[profile] || hevcProfiles.main}.L${levelIdc}.B0`;
+			}
+
+			case 'libsvtav1':
+			case 'libaom-av1': {
+				// Sequence level index, levels have 4 minor versions each starting from 2.0
+				const [major, minor = 0] = String(level).split('.').map(Number);
+				const levelIdx = String((major - 2) * 4 + minor).padStart(2, '0');
+				return `av01.0.${levelIdx}M.${depth}`;
+			}
+
+			case 'libvpx-vp9': {
+				const levelIdc = String(Math.round(Number(level) * 10)).padStart(
+					2,
+					'0'
+				);
+				return `vp09.${String(profile).padStart(2, '0')}.${levelIdc}.${depth}`;
+			}
+
+			default: {
+				const levelIdc = Math.round(Number(level) * 10)
+					.toString(16)
+					.toUpperCase()
+					.padStart(2, '0');
+				return `avc1.${avcProfiles[profile] || avcProfiles.high}${levelIdc}`;
+			}
+		}
+	},
+
+	/**
+	 * Builds the RFC 6381 codec string of an encoded audio rendition
+	 * @param {object} rendition
+	 * @param {string} rendition.codec ffmpeg encoder, e.g. `aac`
+	 * @param {string} [rendition.profile] AAC profile, e.g. `aac_low`
+	 * @returns {string} A codec string, e.g. `mp4a.40.2`
+	 */
+	audio({ codec, profile }) {
+		switch (codec) {
+			case 'flac':
+				return 'fLaC';
+			case 'ac3':
+				return 'ac-3';
+			case 'eac3':
+				return 'ec-3';
+			default:
+				return aacProfiles[profile] || aacProfiles.aac_low;
+		}
+	},
+};
+
+export default codecString;
@@ -4,24 +4,23 @@
  */
 const convertTime = {
 	/**
-	 * Converts a timestamp into seconds.
+	 * Converts a timestamp into seconds. Hours are optional, so `01:30` is
+	 * read as a minute and a half.
 	 * Credit to {@link https://github.com/fluent-ffmpeg/node-fluent-ffmpeg/blob/master/lib/utils.js#L237-L262 fluent-ffmpeg}
 	 * for this method.
 	 * @param {(Timestamp|NumberString|number)} ts
-	 * @returns {number}
+	 * @returns {number} NaN if the timestamp can't be parsed
 	 */
 	toSeconds(ts) {
 		if (typeof ts === 'number' || ts.match(/^[\d.]+$/)) {
 			return Number(ts);
 		}
 
-		return ts.split(':').reduce((total, current, index) => {
-			if (index === 0) current = Number(current * 3600);
-			else if (index === 1) current = Number(current * 60);
-			else current = Number(current);
+		if (!/^(?:\d+:){1,2}\d+(?:\.\d+)?$/.test(ts)) return Number.NaN;
 
-			return total + current;
-		}, 0);
+		return ts
+			.split(':')
+			.reduce((total, current) => total * 60 + Number(current), 0);
 	},
 
 	/**
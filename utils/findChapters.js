@@ -0,0 +1,36 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+/**
+ * Utility to find a sidecar chapter list next to a specified source path.
+ * Chapter lists are named after the input, e.g. `video.chapters.txt`, or
+ * `chapters.txt` when the input is the only media in its directory.
+ *
+ * @param {fs.PathLike} inputPath A parseable pathname
+ * @returns {(string|undefined)} Path to a chapter list, undefined if no path was found.
+ */
+function findChapters(inputPath) {
+	const parsedPath = path.parse(inputPath);
+	const sidecarPattern = /\.(txt|srt|vtt|ass|ssa|png|webp|jpe?g|tiff?)$/i;
+	const filteredDirContents = fs
+		.readdirSync(parsedPath.dir)
+		.filter((item) => item !== parsedPath.base)
+		.filter((item) => /^[^.\s].+\.[\d\w]+$/.test(item));
+
+	if (filteredDirContents.includes(`${parsedPath.name}.chapters.txt`)) {
+		return path.resolve(parsedPath.dir, `${parsedPath.name}.chapters.txt`);
+	}
+
+	const otherItemsMatched = filteredDirContents.filter(
+		(item) => !sidecarPattern.test(item)
+	);
+
+	if (
+		otherItemsMatched.length === 0 &&
+		filteredDirContents.includes('chapters.txt')
+	) {
+		return path.resolve(parsedPath.dir, 'chapters.txt');
+	}
+}
+
+export default findChapters;
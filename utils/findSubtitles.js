@@ -0,0 +1,62 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import getLanguage from './getLanguage.js';
+
+/**
+ * @typedef {object} SubtitleFile
+ * @property {string} path Absolute path to the subtitle file
+ * @property {({code: string, name: string}|undefined)} language Language parsed from the file name
+ * @property {boolean} forced Whether the file name marks the track as forced
+ */
+
+/**
+ * Utility to find sidecar subtitle files next to a specified source path.
+ * Languages are read from the dot-separated parts of the file name, e.g.
+ * `video.en.srt` or `video.spa.forced.vtt`
+ *
+ * @param {fs.PathLike} inputPath A parseable pathname
+ * @returns {SubtitleFile[]} List of subtitle files, empty if none were found.
+ */
+function findSubtitles(inputPath) {
+	const parsedPath = path.parse(inputPath);
+	const subtitlePattern = /\.(srt|vtt|ass|ssa)$/i;
+	const imagePattern = /\.(png|webp|jpe?g|tiff?)$/;
+	const filteredDirContents = fs
+		.readdirSync(parsedPath.dir)
+		.filter((item) => item !== parsedPath.base)
+		.filter((item) => /^[^.\s].+\.[\d\w]+$/.test(item));
+
+	const otherItemsMatched = filteredDirContents.filter(
+		(item) => !subtitlePattern.test(item) && !imagePattern.test(item)
+	);
+	let subtitleItemsMatched = filteredDirContents.filter((item) =>
+		subtitlePattern.test(item)
+	);
+
+	// Other media in the same directory means subtitles have to be named after the input
+	if (otherItemsMatched.length > 0) {
+		subtitleItemsMatched = subtitleItemsMatched.filter((item) =>
+			item.startsWith(`${parsedPath.name}.`)
+		);
+	}
+
+	return subtitleItemsMatched.sort().map((item) => {
+		const { name } = path.parse(item);
+		const parts = (
+			name.startsWith(`${parsedPath.name}.`)
+				? name.slice(parsedPath.name.length + 1)
+				: name
+		).split('.');
+
+		return {
+			path: path.resolve(parsedPath.dir, item),
+			language: parts
+				.map((part) => getLanguage(part))
+				.filter(Boolean)
+				.at(-1),
+			forced: parts.some((part) => part.toLowerCase() === 'forced'),
+		};
+	});
+}
+
+export default findSubtitles;
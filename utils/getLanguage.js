@@ -0,0 +1,28 @@
+const displayNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+/**
+ * Normalizes a language tag as found in stream tags or file names
+ * (e.g. `eng`, `fre`, `pt-BR`) into a BCP 47 tag and a readable name
+ *
+ * @param {string} [tag] Language tag to normalize
+ * @returns {({code: string, name: string}|undefined)} The normalized language, undefined if the tag is missing, undetermined or invalid.
+ */
+function getLanguage(tag) {
+	// Only accept ISO 639 language codes with an optional script or region
+	const pattern = /^[a-z]{2,3}([-_]([a-z]{4}|[a-z]{2}|\d{3}))?$/i;
+	if (!pattern.test(tag) || tag === 'und') return;
+
+	try {
+		const locale = new Intl.Locale(tag.replace('_', '-'));
+		const code = locale.toString();
+
+		return {
+			code,
+			name: displayNames.of(code),
+		};
+	} catch {
+		// Intl.Locale rejects tags that only look valid, they count as missing
+	}
+}
+
+export default getLanguage;
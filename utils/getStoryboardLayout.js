@@ -0,0 +1,58 @@
+// Largest width or height each image format can be written or decoded at
+const sizeLimits = {
+	webp: 16383,
+	jpeg: 65535,
+	avif: 16384,
+};
+
+/**
+ * Splits timeline preview tiles into storyboard sheets that stay within the
+ * size limit of the image format and the limits set in packaging options
+ * @param {number} count Number of tiles
+ * @param {{width: number, height: number}} tile Size of each tile in pixels
+ * @param {object} options Packaging options
+ * @returns {{columns: number, rows: number, sheets: number, width: number, height: number}}
+ * Columns and rows of every sheet, the number of sheets and the size of each
+ * sheet in pixels. Every sheet has the same size, the last one is padded
+ */
+function getStoryboardLayout(count, tile, options) {
+	// Destructure options
+	const {
+		imageFormat,
+		timelinePreviewSpriteColumns: maxColumns,
+		timelinePreviewSheetRows: maxRows,
+		timelinePreviewSheetMaxSize: maxSize,
+	} = options;
+
+	const sizeLimit = Math.min(
+		sizeLimits[imageFormat],
+		Number(maxSize) || Infinity
+	);
+
+	if (tile.width > sizeLimit || tile.height > sizeLimit) {
+		throw new Error(
+			`Timeline preview tiles of ${tile.width}x${tile.height} don't fit in a ${imageFormat} storyboard of at most ${sizeLimit}px, lower --timeline-preview-tile-height`
+		);
+	}
+
+	// Narrow the sheets before they grow too wide, then cap rows per sheet
+	const columns = Math.min(
+		Number(maxColumns),
+		Math.floor(sizeLimit / tile.width)
+	);
+	const rows = Math.min(
+		Number(maxRows) || Infinity,
+		Math.floor(sizeLimit / tile.height),
+		Math.ceil(count / columns)
+	);
+
+	return {
+		columns,
+		rows,
+		sheets: Math.ceil(count / (columns * rows)),
+		width: columns * tile.width,
+		height: rows * tile.height,
+	};
+}
+
+export default getStoryboardLayout;
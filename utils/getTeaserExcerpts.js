@@ -0,0 +1,31 @@
+/**
+ * Spreads teaser excerpts evenly across a given duration, each excerpt
+ * centered in an equal share of it
+ * @param {number} duration Duration of content to take excerpts from
+ * @param {object} options Packaging options
+ * @returns {{start: number, end: number}[]} Start and end of each excerpt in
+ * seconds
+ */
+function getTeaserExcerpts(duration, options) {
+	// Destructure options
+	const { teaserExcerpts: count, teaserExcerptDuration: length } = options;
+
+	// Short content gets fewer excerpts, but always at least one
+	const excerptLength = Math.min(Number(length), duration);
+	const excerptCount = Math.max(
+		1,
+		Math.min(Number(count), Math.floor(duration / excerptLength))
+	);
+	const share = duration / excerptCount;
+
+	return Array.from({ length: excerptCount }, (_, index) => {
+		const start = Math.max(0, share * (index + 0.5) - excerptLength / 2);
+
+		return {
+			start: Number(start.toFixed(3)),
+			end: Number((start + excerptLength).toFixed(3)),
+		};
+	});
+}
+
+export default getTeaserExcerpts;
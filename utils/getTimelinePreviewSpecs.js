@@ -1,18 +1,17 @@
-import cli from '../lib/cli.js';
-
 /**
  * Calculates the number of timeline preview frames to generate based
- * on a given duration and CLI options
+ * on a given duration and packaging options
  * @param {number} duration Duration of content to calculate specs from
+ * @param {object} options Packaging options
  * @returns {{frames: number, interval: number}}
  */
-function getTimelinePreviewSpecs(duration) {
+function getTimelinePreviewSpecs(duration, options) {
 	// Destructure options
 	const {
 		timelinePreviewIntervalMin: intMin,
 		timelinePreviewIntervalMax: intMax,
 		timelinePreviewMaxImages: maxImgs,
-	} = cli.opts;
+	} = options;
 
 	// Initialize frames to be the maximum number of images
 	let frameCount = maxImgs;
@@ -0,0 +1,128 @@
+/**
+ * @typedef {object} PlaylistEntry
+ * A single line of a playlist. Tags with an attribute list are parsed into
+ * `tag` and `attributes`, `EXT-X-STREAM-INF` entries also carry the `uri` on
+ * the line that follows. Anything else is kept as-is in `line`.
+ * @property {string} [tag] Name of the tag without the leading `#`
+ * @property {Object<string, string>} [attributes] Attributes of the tag
+ * @property {string} [uri] URI of the variant stream
+ * @property {string} [line] Unparsed line
+ */
+
+// Attributes that are always written as quoted strings
+const quotedAttributes = new Set([
+	'URI',
+	'GROUP-ID',
+	'LANGUAGE',
+	'ASSOC-LANGUAGE',
+	'NAME',
+	'STABLE-RENDITION-ID',
+	'INSTREAM-ID',
+	'CHARACTERISTICS',
+	'CHANNELS',
+	'CODECS',
+	'AUDIO',
+	'VIDEO',
+	'SUBTITLES',
+	'CLOSED-CAPTIONS',
+	'STABLE-VARIANT-ID',
+	'KEYFORMAT',
+	'KEYFORMATVERSIONS',
+]);
+
+// Tags with an attribute list
+const attributeTags = new Set([
+	'EXT-X-MEDIA',
+	'EXT-X-STREAM-INF',
+	'EXT-X-I-FRAME-STREAM-INF',
+	'EXT-X-KEY',
+	'EXT-X-SESSION-KEY',
+	'EXT-X-MAP',
+]);
+
+const hlsPlaylist = {
+	/**
+	 * Parses an attribute list into an object
+	 * @param {string} list An attribute list, e.g. `TYPE=AUDIO,NAME="English"`
+	 * @returns {Object<string, string>}
+	 */
+	parseAttributes(list) {
+		const attributes = {};
+
+		for (const [, key, value] of list.matchAll(
+			/([A-Z\d-]+)=("[^"]*"|[^,]*)/g
+		)) {
+			attributes[key] = value.replace(/^"(.*)"$/, '$1');
+		}
+
+		return attributes;
+	},
+
+	/**
+	 * Formats an object into an attribute list, skipping undefined values
+	 * @param {Object<string, (string|number)>} attributes
+	 * @returns {string}
+	 */
+	formatAttributes(attributes) {
+		return Object.entries(attributes)
+			.filter(([, value]) => value !== undefined)
+			.map(([key, value]) =>
+				quotedAttributes.has(key) &&
+				!(key === 'CLOSED-CAPTIONS' && value === 'NONE')
+					? `${key}="${value}"`
+					: `${key}=${value}`
+			)
+			.join(',');
+	},
+
+	/**
+	 * Parses a playlist into a list of entries
+	 * @param {string} text Contents of an m3u8 file
+	 * @returns {PlaylistEntry[]}
+	 */
+	parse(text) {
+		const entries = [];
+		const lines = text.split(/\r?\n/).filter(Boolean);
+
+		for (let index = 0; index < lines.length; index++) {
+			const match = lines[index].match(/^#([A-Z\d-]+):(.*)$/);
+
+			if (match && attributeTags.has(match[1])) {
+				const entry = {
+					tag: match[1],
+					attributes: this.parseAttributes(match[2]),
+				};
+
+				if (entry.tag === 'EXT-X-STREAM-INF') {
+					entry.uri = lines[++index];
+				}
+
+				entries.push(entry);
+			} else {
+				entries.push({ line: lines[index] });
+			}
+		}
+
+		return entries;
+	},
+
+	/**
+	 * Formats a list of entries back into a playlist
+	 * @param {PlaylistEntry[]} entries
+	 * @returns {string}
+	 */
+	stringify(entries) {
+		return (
+			entries
+				.map((entry) => {
+					if (entry.line !== undefined) return entry.line;
+
+					const tag = `#${entry.tag}:${this.formatAttributes(entry.attributes)}`;
+					return entry.uri ? `${tag}\n${entry.uri}` : tag;
+				})
+				.join('\n') + '\n'
+		);
+	},
+};
+
+export default hlsPlaylist;
@@ -0,0 +1,24 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+/**
+ * Recursively lists the files in a directory
+ *
+ * @param {string} dir Directory to list
+ * @returns {Promise<{path: string, size: number}[]>} Absolute paths and sizes in bytes, sorted by path.
+ */
+async function listFiles(dir) {
+	const names = await fs.promises.readdir(dir, { recursive: true });
+	const files = await Promise.all(
+		names.sort().map(async (name) => {
+			const file = path.resolve(dir, name);
+			const stats = await fs.promises.stat(file);
+
+			return stats.isFile() ? { path: file, size: stats.size } : undefined;
+		})
+	);
+
+	return files.filter(Boolean);
+}
+
+export default listFiles;
@@ -1,43 +1,62 @@
 import kleur from 'kleur';
-import cli from '../lib/cli.js';
 import getTimestamp from './getTimestamp.js';
 
 /**
  * @file Simple logging utility that wraps `console.log` calls with {@link https://www.npmjs.com/package/kleur kleur}
  *
- * @param {LogFormat} meta
- *
- * @param {string[]} messages
- * An array of messages to pass to the logging utility. Each message will be processed as a seperate line.
- *
  * @typedef {'<level>,<program>'} LogFormat
  * A comma-seperated string specifying `<level>` and `<program>`, where
  * `<level>` is one of `info`, `event`, `warn`, or `error`.
+ *
+ * @typedef {(meta: LogFormat, ...messages: string[]) => void} Logger
  */
-function logger(meta, ...messages) {
-	// Set up timestamp object and level
-	const [level, cmd] = meta.split(',');
 
-	if (cli.opts.silent || (level === 'info' && !cli.opts.verbose)) return;
+/**
+ * Creates a logger bound to a set of output options
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.silent] Don't output anything
+ * @param {boolean} [options.verbose] Output `info` level messages
+ * @param {boolean} [options.stderr] Write to stderr instead of stdout, which
+ * keeps stdout free for machine readable output
+ * @returns {Logger}
+ */
+function createLogger({
+	silent = false,
+	verbose = false,
+	stderr = false,
+} = {}) {
+	/**
+	 * @param {LogFormat} meta
+	 *
+	 * @param {string[]} messages
+	 * An array of messages to pass to the logging utility. Each message will be processed as a seperate line.
+	 */
+	return (meta, ...messages) => {
+		// Set up timestamp object and level
+		const [level, cmd] = meta.split(',');
 
-	const levelMap = {
-		info: 'blue',
-		event: 'dim',
-		warn: 'yellow',
-		error: 'red',
-	};
+		if (silent || (level === 'info' && !verbose)) return;
 
-	messages
-		.join(' ')
-		.split('\n')
-		.forEach((message) => {
-			console.log(
-				kleur[levelMap[level]](
-					`[${getTimestamp()}] ` +
-						[cmd && `${cmd}:`, message].filter(Boolean).join(' ')
-				)
-			);
-		});
+		const levelMap = {
+			info: 'blue',
+			event: 'dim',
+			warn: 'yellow',
+			error: 'red',
+		};
+
+		messages
+			.join(' ')
+			.split('\n')
+			.forEach((message) => {
+				(stderr ? console.error : console.log)(
+					kleur[levelMap[level]](
+						`[${getTimestamp()}] ` +
+							[cmd && `${cmd}:`, message].filter(Boolean).join(' ')
+					)
+				);
+			});
+	};
 }
 
-export default logger;
+export default createLogger;
@@ -0,0 +1,59 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import hlsPlaylist from './hlsPlaylist.js';
+
+/**
+ * @typedef {object} MediaPlaylist
+ * @property {(string|undefined)} initialization Path to the initialization
+ * segment, undefined for MPEG-TS segments
+ * @property {{path: string, duration: number, size: number}[]} segments
+ * @property {number} bandwidth Peak bitrate of the segments in bits per second
+ * @property {number} averageBandwidth Average bitrate of the segments in bits per second
+ */
+
+/**
+ * Reads the segments of a media playlist, along with their sizes
+ *
+ * @param {string} playlistPath Path to the media playlist
+ * @returns {Promise<MediaPlaylist>}
+ */
+async function readMediaPlaylist(playlistPath) {
+	const dir = path.dirname(playlistPath);
+	const entries = hlsPlaylist.parse(
+		await fs.promises.readFile(playlistPath, 'utf8')
+	);
+
+	const map = entries.find((entry) => entry.tag === 'EXT-X-MAP');
+	const listed = [];
+	let duration;
+	entries.forEach((entry) => {
+		if (entry.line?.startsWith('#EXTINF:')) {
+			duration = Number.parseFloat(entry.line.slice('#EXTINF:'.length));
+		} else if (entry.line !== undefined && !entry.line.startsWith('#')) {
+			listed.push({ path: path.resolve(dir, entry.line), duration });
+		}
+	});
+
+	const segments = await Promise.all(
+		listed.map(async (segment) => ({
+			...segment,
+			size: (await fs.promises.stat(segment.path)).size,
+		}))
+	);
+
+	const total = (key) =>
+		segments.reduce((sum, segment) => sum + segment[key], 0);
+
+	return {
+		initialization: map && path.resolve(dir, map.attributes.URI),
+		segments,
+		bandwidth: Math.round(
+			Math.max(
+				...segments.map((segment) => (segment.size * 8) / segment.duration)
+			)
+		),
+		averageBandwidth: Math.round((total('size') * 8) / total('duration')),
+	};
+}
+
+export default readMediaPlaylist;
@@ -0,0 +1,82 @@
+/**
+ * @typedef {object} Cue
+ * @property {number} start Start time in seconds
+ * @property {number} end End time in seconds
+ * @property {string} text The cue block as written in the source, including its timing line
+ */
+
+/**
+ * Converts a WebVTT timestamp (`[hh:]mm:ss.ttt`) into seconds
+ * @param {string} timestamp
+ * @returns {number}
+ */
+function parseTimestamp(timestamp) {
+	return timestamp
+		.split(':')
+		.reduce((total, current) => total * 60 + Number(current), 0);
+}
+
+const webvtt = {
+	/**
+	 * Parses the cues of a WebVTT file. Header, `NOTE`, `STYLE` and `REGION`
+	 * blocks are dropped.
+	 * @param {string} text Contents of a WebVTT file
+	 * @returns {Cue[]}
+	 */
+	parse(text) {
+		return text
+			.replace(/^\uFEFF/, '')
+			.split(/\r?\n(?:\r?\n)+/)
+			.map((block) => {
+				const timing = block.match(
+					/^(?:.*\n)?\s*((?:\d+:)?\d{2}:\d{2}\.\d{3})\s+-->\s+((?:\d+:)?\d{2}:\d{2}\.\d{3})/
+				);
+
+				return (
+					timing && {
+						start: parseTimestamp(timing[1]),
+						end: parseTimestamp(timing[2]),
+						text: block.trim(),
+					}
+				);
+			})
+			.filter(Boolean);
+	},
+
+	/**
+	 * Splits cues into segments for an HLS subtitle rendition. Cues that span
+	 * multiple segments are repeated in each of them, as per the HLS spec.
+	 * @param {Cue[]} cues
+	 * @param {object} options
+	 * @param {number} options.duration Duration of the media
+	 * @param {number} options.interval Length of each segment in seconds
+	 * @param {number} [options.timestampOffset] Start time of the media segments
+	 * in seconds, used to line cues up with the other renditions
+	 * @returns {{duration: number, text: string}[]} List of segments
+	 */
+	segment(cues, { duration, interval, timestampOffset = 0 }) {
+		const count = Math.max(1, Math.ceil(duration / interval));
+		const header = [
+			'WEBVTT',
+			`X-TIMESTAMP-MAP=MPEGTS:${Math.round(timestampOffset * 90000)},LOCAL:00:00:00.000`,
+		].join('\n');
+
+		return Array.from({ length: count }, (_, index) => {
+			const start = index * interval;
+			const end = Math.min(start + interval, duration);
+
+			return {
+				duration: end - start,
+				text:
+					[
+						header,
+						...cues
+							.filter((cue) => cue.start < end && cue.end > start)
+							.map((cue) => cue.text),
+					].join('\n\n') + '\n',
+			};
+		});
+	},
+};
+
+export default webvtt;